@@ -0,0 +1,120 @@
+/**
+ * Public API
+ * Exposed as game.modules.get("momos-guide-to-monsters").api for macros and other modules
+ *
+ * Checks also call these hooks, where returning false cancels the check:
+ * - momos-guide-to-monsters.preRollKnowledgeCheck (dialog, config) before anything is rolled; config may be changed
+ * - momos-guide-to-monsters.knowledgeCheckResolved (dialog, outcomes) once the tiers are resolved; outcomes may be changed
+ * - momos-guide-to-monsters.preCreateKnowledgeCard (dialog, messageData, outcomes) before the chat card is created
+ */
+
+import { MonsterKnowledgeDialog, getAvailableCharacters } from "./knowledge-check-dialog.mjs";
+import { getCreatureKey, getRecordedKnowledge } from "./bestiary.mjs";
+import { getKnownTiers } from "./knowledge-memory.mjs";
+import { requestFromGM } from "./socket.mjs";
+
+/**
+ * Get the creature actors to check, from actors or tokens
+ * @param {Actor5e|Token|TokenDocument|Array} monsters
+ * @returns {Actor5e[]}
+ */
+function resolveMonsters(monsters) {
+  return [monsters].flat().map(monster => (monster instanceof Actor ? monster : monster?.actor)).filter(Boolean);
+}
+
+/**
+ * Build the knowledge check dialog for a character the user may use
+ * @param {Actor5e} [character] - Defaults to the user's character
+ * @param {Actor5e|Token|TokenDocument|Array} monsters
+ * @returns {MonsterKnowledgeDialog|null} Null, with a warning, if the check can't be made
+ */
+function createDialog(character, monsters) {
+  const availableCharacters = getAvailableCharacters();
+  character ??= game.user.character ?? availableCharacters[0];
+  if (!availableCharacters.includes(character)) {
+    ui.notifications.warn(game.i18n.localize("MKC.Warnings.NoPlayerCharacter"));
+    return null;
+  }
+
+  monsters = resolveMonsters(monsters).filter(monster => monster.type === "npc");
+  if (!monsters.length) {
+    ui.notifications.warn(game.i18n.localize("MKC.Warnings.NotAnNPC"));
+    return null;
+  }
+
+  return new MonsterKnowledgeDialog({ monsters, availableCharacters, defaultCharacterId: character.id });
+}
+
+/**
+ * Open the knowledge check dialog
+ * @param {Actor5e|Token|TokenDocument|Array} monsters - The creatures to recall
+ * @param {Object} [options]
+ * @param {Actor5e} [options.character] - The character making the check, defaulting to the user's character
+ * @returns {Promise<MonsterKnowledgeDialog|null>}
+ */
+export async function openDialog(monsters, { character } = {}) {
+  const dialog = createDialog(character, monsters);
+  return dialog?.render({ force: true }) ?? null;
+}
+
+/**
+ * Make a knowledge check without showing the dialog
+ * The world's rules still apply, including attempt limits, combat actions and the GM's approval
+ * @param {Actor5e} character - The character making the check
+ * @param {Actor5e|Token|TokenDocument|Array} monsters - The creatures to recall
+ * @param {Object} [options] - See MonsterKnowledgeDialog#runCheck
+ * @param {string} [options.skill]
+ * @param {boolean} [options.advantage]
+ * @param {number} [options.dcModifier]
+ * @param {string} [options.autopass]
+ * @returns {Promise<Object[]|null>} The outcome for each creature, or null if no check was made
+ */
+export async function performCheck(character, monsters, options = {}) {
+  const dialog = createDialog(character, monsters);
+  return dialog?.runCheck(options) ?? null;
+}
+
+/**
+ * Read what a character knows about a creature
+ * @param {Actor5e} character
+ * @param {Actor5e|Token|TokenDocument} monster
+ * @returns {{tiers: string[], recorded: {tiers: Object<string, Object>}}|null} The tiers the character remembers,
+ *   and the facts recorded in the bestiaries the current user may read, or null, with a warning, if there is no creature
+ */
+export function getKnowledge(character, monster) {
+  [monster] = resolveMonsters(monster);
+  if (!monster) {
+    ui.notifications.warn(game.i18n.localize("MKC.Warnings.NotAnNPC"));
+    return null;
+  }
+  return {
+    tiers: getKnownTiers(character, monster),
+    recorded: getRecordedKnowledge(getCreatureKey(monster))
+  };
+}
+
+/**
+ * Record knowledge in the bestiary, which the active GM does for everyone
+ * @param {Actor5e|Token|TokenDocument} monster
+ * @param {Object} knowledge - Knowledge as revealed by a check, such as an outcome's knowledge
+ * @param {Object} [options]
+ * @param {string} [options.revealedBy]
+ * @param {string[]} [options.characterIds] - The characters whose bestiaries record it
+ */
+export async function addToBestiary(monster, knowledge, { revealedBy = "", characterIds = [] } = {}) {
+  [monster] = resolveMonsters(monster);
+  if (!monster) return;
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("MKC.Bestiary.NoGM"));
+    return;
+  }
+  await requestFromGM("addToBestiary", { monsterId: monster.id, knowledge, revealedBy, revealedAt: Date.now(), characterIds });
+}
+
+/**
+ * Get the API exposed on the module
+ * @returns {Object}
+ */
+export function getAPI() {
+  return { openDialog, performCheck, getKnowledge, addToBestiary };
+}
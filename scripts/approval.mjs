@@ -0,0 +1,107 @@
+/**
+ * GM Approval Flow
+ * Background Knowledge and DC modifiers from players below the configured role are sent to the GM for approval
+ */
+
+import { getSetting } from "./settings.mjs";
+import { requestFromGM } from "./socket.mjs";
+
+const { DialogV2 } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * How long a player waits for the GM to answer, in milliseconds
+ */
+const APPROVAL_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Check whether the current user needs GM approval for a check
+ * @param {Object} check
+ * @param {string} check.autopass - The selected Background Knowledge tier, if any
+ * @param {number} check.dcModifier
+ * @returns {boolean}
+ */
+export function needsApproval({ autopass, dcModifier }) {
+  if (autopass && (game.user.role < getSetting("autopassRole"))) return true;
+  if (dcModifier && (game.user.role < getSetting("dcModifierRole"))) return true;
+  return false;
+}
+
+/**
+ * Ask the GM to approve a check
+ * @param {Object} request
+ * @param {string} request.characterName
+ * @param {string} request.monsterName
+ * @param {string} request.autopass
+ * @param {number} request.dcModifier
+ * @param {{value: string, label: string}[]} request.autopassOptions - The Background Knowledge tiers to choose from
+ * @returns {Promise<{autopass: string, dcModifier: number}|null>} The approved values, or null if denied
+ */
+export async function requestApproval(request) {
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("MKC.Approval.NoGM"));
+    return null;
+  }
+
+  ui.notifications.info(game.i18n.localize("MKC.Approval.Waiting"));
+  const response = await requestFromGM("approval", request, { timeout: APPROVAL_TIMEOUT });
+
+  if (!response) {
+    ui.notifications.warn(game.i18n.localize("MKC.Approval.NoResponse"));
+    return null;
+  }
+  if (!response.approved) {
+    ui.notifications.warn(game.i18n.localize("MKC.Approval.Denied"));
+    return null;
+  }
+  return { autopass: response.autopass, dcModifier: response.dcModifier };
+}
+
+/**
+ * Show an approval request to the GM
+ * The GM may edit the Background Knowledge tier and DC modifier before approving
+ * @param {Object} request - See requestApproval
+ * @param {User} user - The requesting user
+ * @returns {Promise<{approved: boolean, autopass?: string, dcModifier?: number}>}
+ */
+export async function promptApproval(request, user) {
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/approval-request.hbs`, {
+    ...request,
+    userName: user?.name ?? "",
+    autopassOptions: request.autopassOptions.map(option => ({
+      ...option,
+      selected: option.value === request.autopass
+    }))
+  });
+
+  const result = await DialogV2.wait({
+    window: { title: "MKC.Approval.Title", icon: "fas fa-gavel" },
+    content,
+    buttons: [
+      {
+        action: "approve",
+        label: "MKC.Approval.Approve",
+        icon: "fas fa-check",
+        default: true,
+        callback: (event, button) => {
+          const data = new FormDataExtended(button.form).object;
+          return {
+            approved: true,
+            autopass: data.autopass || "",
+            dcModifier: parseInt(data.dcModifier) || 0
+          };
+        }
+      },
+      {
+        action: "deny",
+        label: "MKC.Approval.Deny",
+        icon: "fas fa-times",
+        callback: () => ({ approved: false })
+      }
+    ],
+    rejectClose: false
+  });
+
+  return result ?? { approved: false };
+}
@@ -0,0 +1,79 @@
+/**
+ * Attempt Limits
+ * Records each character's knowledge checks against each creature in the character's flags,
+ * so a creature can only be recalled once until the world's retry rule allows another try
+ */
+
+import { getSetting } from "./settings.mjs";
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Get the in-game day of a world time
+ * @param {number} worldTime - In seconds
+ * @returns {number}
+ */
+function getDay(worldTime) {
+  const { hoursPerDay = 24, minutesPerHour = 60, secondsPerMinute = 60 } = game.time.calendar?.days ?? {};
+  return Math.floor(worldTime / (hoursPerDay * minutesPerHour * secondsPerMinute));
+}
+
+/**
+ * Get why a character may not try to recall a creature again yet
+ * @param {Actor5e} character
+ * @param {Actor5e} monster
+ * @returns {string|null} An explanation, or null if the character may try
+ */
+export function getAttemptBlock(character, monster) {
+  const limit = getSetting("retryLimit");
+  const attempt = character?.getFlag(MODULE_ID, "attempts")?.[monster.id];
+  if ((limit === "off") || !attempt) return null;
+
+  // Rests clear the attempts themselves, so any attempt still recorded counts
+  if ((limit === "day") && (getDay(attempt.worldTime) !== getDay(game.time.worldTime))) return null;
+  if ((limit === "scene") && (attempt.sceneId !== canvas.scene?.id)) return null;
+
+  return game.i18n.format(`MKC.Attempts.Blocked.${limit.capitalize()}`, { character: character.name, creature: monster.name });
+}
+
+/**
+ * Record that a character has tried to recall creatures
+ * Nothing is recorded while attempts aren't limited
+ * @param {Actor5e} character
+ * @param {string[]} monsterIds
+ * @param {string|null} [sceneId] - The scene the check was made in
+ */
+export async function recordAttempts(character, monsterIds, sceneId = canvas.scene?.id ?? null) {
+  if ((getSetting("retryLimit") === "off") || !monsterIds.length) return;
+  const attempt = { worldTime: game.time.worldTime, sceneId, time: Date.now() };
+  await character.update(Object.fromEntries(monsterIds.map(id => [`flags.${MODULE_ID}.attempts.${id}`, attempt])));
+}
+
+/**
+ * Forget a character's attempts, so every creature may be recalled again
+ * @param {Actor5e} character
+ */
+export async function resetAttempts(character) {
+  await character.unsetFlag(MODULE_ID, "attempts");
+}
+
+/**
+ * Does a character have attempts recorded?
+ * @param {Actor5e} character
+ * @returns {boolean}
+ */
+export function hasAttempts(character) {
+  return !foundry.utils.isEmpty(character.getFlag(MODULE_ID, "attempts") ?? {});
+}
+
+/**
+ * Clear a character's attempts after a rest that the retry rule resets on
+ * Called from the system's dnd5e.restCompleted hook on the resting client
+ * @param {Actor5e} actor
+ * @param {RestResult} result
+ */
+export async function onRestCompleted(actor, result) {
+  const limit = getSetting("retryLimit");
+  if (!actor.isOwner || !hasAttempts(actor)) return;
+  if ((limit === "shortRest") || ((limit === "longRest") && result.longRest)) await resetAttempts(actor);
+}
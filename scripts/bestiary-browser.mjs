@@ -0,0 +1,214 @@
+/**
+ * Bestiary Browser
+ * Lists every creature recorded in the bestiary journals the user may read, with filters and full-text search
+ */
+
+import { getBestiaryJournals } from "./bestiary.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Damage traits that can be filtered on, by their key in recorded facts
+ */
+const DAMAGE_TRAITS = {
+  dv: "MKC.Chat.DamageVulnerabilities",
+  dr: "MKC.Chat.DamageResistances",
+  di: "MKC.Chat.DamageImmunities"
+};
+
+/**
+ * Browser for the creatures recorded in the bestiary
+ * Players only see pages they may observe, and only the challenge ratings they have learned
+ */
+export class BestiaryBrowser extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "mkc-bestiary-browser",
+    classes: ["dnd5e2", "mkc-bestiary-browser"],
+    window: {
+      title: "MKC.Browser.Title",
+      icon: "fas fa-book-open-reader",
+      contentClasses: ["standard-form"],
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: 640
+    },
+    actions: {
+      openPage: BestiaryBrowser.#onOpenPage,
+      resetFilters: BestiaryBrowser.#onResetFilters
+    }
+  };
+
+  static PARTS = {
+    filters: {
+      template: `modules/${MODULE_ID}/templates/bestiary-browser-filters.hbs`
+    },
+    list: {
+      template: `modules/${MODULE_ID}/templates/bestiary-browser-list.hbs`,
+      scrollable: [""]
+    }
+  };
+
+  /**
+   * Open the browser, or bring it to the front if it is already open
+   */
+  static open() {
+    const browser = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id) ?? new this();
+    browser.render({ force: true });
+  }
+
+  /**
+   * The current filters
+   * @type {{search: string, type: string, crMin: number|null, crMax: number|null, trait: string, damageType: string}}
+   */
+  filters = BestiaryBrowser.#defaultFilters();
+
+  /**
+   * Get the filters that show every creature
+   * @returns {Object}
+   */
+  static #defaultFilters() {
+    return { search: "", type: "", crMin: null, crMax: null, trait: "", damageType: "" };
+  }
+
+  /* -------------------------------------------- */
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const entries = this._getEntries();
+
+    context.filters = this.filters;
+    context.types = [...new Set(entries.map(entry => entry.type).filter(Boolean))]
+      .map(type => ({ value: type, label: game.i18n.localize(CONFIG.DND5E.creatureTypes[type]?.label ?? type) }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+    context.traits = Object.entries(DAMAGE_TRAITS).map(([value, label]) => ({ value, label: game.i18n.localize(label) }));
+    context.damageTypes = Object.entries(CONFIG.DND5E.damageTypes).map(([value, config]) => ({ value, label: config.label }));
+    context.entries = entries.filter(entry => this._matchesFilters(entry));
+    context.total = entries.length;
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get every creature the user can read about, from the pages of the bestiary journals
+   * @returns {Object[]}
+   */
+  _getEntries() {
+    const journals = getBestiaryJournals().filter(journal => journal.visible);
+    const showBestiary = new Set(journals.map(journal => journal.getFlag(MODULE_ID, "characterId") ?? "")).size > 1;
+    const parser = new DOMParser();
+
+    const entries = [];
+    for (const journal of journals) {
+      for (const page of journal.pages) {
+        if (!page.testUserPermission(game.user, "OBSERVER")) continue;
+
+        const knowledge = page.getFlag(MODULE_ID, "knowledge") ?? { tiers: {} };
+        const tiers = Object.values(knowledge.tiers);
+        const facts = tiers.flatMap(tier => tier.facts);
+        const highest = tiers.reduce((best, tier) => (!best || (tier.level > best.level) ? tier : best), null);
+
+        // Older pages don't record the creature's details, so they are looked up from the creature itself
+        const creatureKey = page.getFlag(MODULE_ID, "creatureKey");
+        let details = page.getFlag(MODULE_ID, "creature");
+        if (!details && creatureKey) {
+          const creature = fromUuidSync(creatureKey, { strict: false });
+          details = { img: creature?.img, type: foundry.utils.getProperty(creature ?? {}, "system.details.type.value") };
+        }
+
+        // Players only know the challenge rating if it has been revealed
+        const crFact = facts.find(fact => fact.infoType === "cr");
+        const cr = game.user.isGM ? details?.cr : crFact?.value;
+
+        const traits = {};
+        for (const fact of facts.filter(f => f.trait)) traits[fact.trait] = fact.damageTypes ?? [];
+
+        const knownCR = Number.isFinite(Number(cr)) && (cr !== null) ? Number(cr) : null;
+        entries.push({
+          uuid: page.uuid,
+          name: page.name,
+          img: details?.img || "icons/svg/mystery-man.svg",
+          type: details?.type ?? journal.getFlag(MODULE_ID, "creatureType") ?? "",
+          cr: knownCR,
+          crLabel: (knownCR === null) ? "" : dnd5e.utils.formatCR(knownCR),
+          tier: highest?.label ?? "",
+          tierLevel: highest?.level ?? 0,
+          bestiary: showBestiary ? journal.name : "",
+          traits,
+          text: `${page.name} ${parser.parseFromString(page.text.content ?? "", "text/html").body.textContent}`.toLowerCase()
+        });
+      }
+    }
+
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does a creature match the current filters?
+   * @param {Object} entry - From _getEntries
+   * @returns {boolean}
+   */
+  _matchesFilters(entry) {
+    const { search, type, crMin, crMax, trait, damageType } = this.filters;
+    if (type && (entry.type !== type)) return false;
+
+    // A CR range excludes creatures whose challenge rating isn't known
+    if ((crMin !== null) && !(entry.cr >= crMin)) return false;
+    if ((crMax !== null) && !(entry.cr <= crMax)) return false;
+
+    if (trait || damageType) {
+      const traits = trait ? [trait] : Object.keys(DAMAGE_TRAITS);
+      const known = traits.flatMap(t => entry.traits[t] ?? []);
+      if (damageType ? !known.includes(damageType) : !known.length) return false;
+    }
+
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+    return terms.every(term => entry.text.includes(term));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    if (!options.parts.includes("filters")) return;
+
+    // Filters only re-render the list, so typing in the search box keeps its focus
+    const renderList = foundry.utils.debounce(() => this.render({ parts: ["list"] }), 200);
+    for (const input of this.element.querySelectorAll(".mkc-browser-filters [name]")) {
+      input.addEventListener(input.type === "search" ? "input" : "change", event => {
+        const { name, value } = event.target;
+        if ((name === "crMin") || (name === "crMax")) this.filters[name] = (value === "") ? null : Number(value);
+        else this.filters[name] = value;
+        renderList();
+      });
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Open a creature's bestiary page
+   * @this {BestiaryBrowser}
+   */
+  static async #onOpenPage(event, target) {
+    const page = await fromUuid(target.closest("[data-uuid]").dataset.uuid);
+    page?.parent.sheet.render({ force: true, pageId: page.id });
+  }
+
+  /**
+   * Clear every filter
+   * @this {BestiaryBrowser}
+   */
+  static #onResetFilters(event, target) {
+    this.filters = BestiaryBrowser.#defaultFilters();
+    this.render();
+  }
+}
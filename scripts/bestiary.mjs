@@ -0,0 +1,752 @@
+/**
+ * Bestiary Journal
+ * Records the knowledge revealed by checks in a bestiary folder with a party journal per creature type
+ * and a journal per character, merging it tier by tier into one page per creature
+ */
+
+import { requestFromGM } from "./socket.mjs";
+import { getTierLabels, enrichLore } from "./monster-knowledge.mjs";
+import { getMonsterLore } from "./lore.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Get a stable identity for a creature that survives renames, unlinked tokens and compendium imports
+ * Uses the compendium the actor was imported from, falling back to the world actor's own UUID
+ * @param {Actor5e} actor
+ * @returns {string}
+ */
+export function getCreatureKey(actor) {
+  const baseActor = actor.isToken ? (game.actors.get(actor.id) ?? actor) : actor;
+  return baseActor._stats?.compendiumSource || baseActor.flags?.core?.sourceId || baseActor.uuid;
+}
+
+/**
+ * Add monster knowledge to the bestiary journals
+ * Depending on the bestiary scope it goes in the party bestiary, the bestiary of each character that learned it, or both
+ * The knowledge may have been sent by a player, so it is rebuilt before anything is written
+ * @param {string} monsterId - The monster actor ID
+ * @param {Object} knowledge - The knowledge data from the chat message
+ * @param {Object} [source] - Who revealed the knowledge and when
+ * @param {string} [source.revealedBy] - Name of the character that revealed it
+ * @param {number} [source.revealedAt] - Timestamp of the reveal
+ * @param {string[]} [source.characterIds] - The characters that learned it
+ */
+export async function addToBestiary(monsterId, knowledge, { revealedBy = "", revealedAt = Date.now(), characterIds = [] } = {}) {
+  const monster = game.actors.get(monsterId);
+  if (!monster) {
+    ui.notifications.error(game.i18n.localize("MKC.Errors.MonsterNotFound"));
+    return;
+  }
+  knowledge = sanitizeKnowledge(monster, knowledge);
+  await enrichLore(knowledge, monster);
+
+  const scope = game.settings.get(MODULE_ID, "bestiaryScope");
+  const source = { revealedBy, revealedAt };
+  let created = false;
+
+  if (scope !== "character") {
+    const creatureType = monster.system.details.type?.value;
+    created = await recordOnPage(monster, knowledge, source, getPartyJournals(), () => getCreatureTypeJournal(creatureType));
+  }
+
+  if (scope !== "party") {
+    const characters = characterIds.map(id => game.actors.get(id)).filter(actor => actor?.type === "character");
+    for (const character of characters) {
+      const journals = getBestiaryJournals().filter(j => j.getFlag(MODULE_ID, "characterId") === character.id);
+      created = await recordOnPage(monster, knowledge, source, journals, () => getCharacterJournal(character)) || created;
+    }
+  }
+
+  ui.notifications.info(game.i18n.format(created ? "MKC.Journal.PageAdded" : "MKC.Journal.Updated", { name: monster.name }));
+}
+
+/**
+ * Get the details the bestiary browser shows and filters on, which don't depend on what has been learned
+ * @param {Actor5e} monster
+ * @returns {{img: string, type: string, cr: number|null}}
+ */
+function getCreatureDetails(monster) {
+  return {
+    img: monster.img,
+    type: monster.system.details.type?.value ?? "",
+    cr: monster.system.details.cr ?? null
+  };
+}
+
+/**
+ * Merge knowledge into a creature's page in one bestiary, creating the page if needed
+ * @param {Actor5e} monster
+ * @param {Object} knowledge
+ * @param {Object} source - Who revealed the knowledge and when
+ * @param {JournalEntry[]} journals - The journals of the bestiary
+ * @param {Function} getJournal - Gets the journal a new page is created in
+ * @returns {Promise<boolean>} Whether a new page was created
+ */
+async function recordOnPage(monster, knowledge, source, journals, getJournal) {
+  const creatureKey = getCreatureKey(monster);
+  const existingPage = findBestiaryPage(creatureKey, journals);
+
+  // Merge the new knowledge into what the page already records
+  const stored = getStoredKnowledge(existingPage);
+  mergeKnowledge(stored, knowledge, source);
+  const pageData = {
+    name: monster.name,
+    "text.content": buildBestiaryContent(stored),
+    [`flags.${MODULE_ID}.creatureKey`]: creatureKey,
+    [`flags.${MODULE_ID}.knowledge`]: stored,
+    [`flags.${MODULE_ID}.creature`]: getCreatureDetails(monster)
+  };
+
+  // Who may read the journal follows the current owners of the characters
+  const journal = existingPage?.parent ?? await getJournal();
+  await updateOwnership(journal);
+
+  if (existingPage) {
+    await existingPage.update(pageData);
+    return false;
+  }
+  await journal.createEmbeddedDocuments("JournalEntryPage", [
+    foundry.utils.expandObject({ type: "text", ...pageData })
+  ]);
+  return true;
+}
+
+/* -------------------------------------------- */
+/*  Automatic Recording                         */
+/* -------------------------------------------- */
+
+/**
+ * Record the knowledge revealed by a check, as the automatic recording setting directs
+ * Players can't write to the bestiary, so the active GM's client records or queues it
+ * @param {Actor5e} monster
+ * @param {Object} knowledge - The knowledge revealed about the monster
+ * @param {Object} source - Who revealed the knowledge and when
+ * @param {string} source.revealedBy - Name of the character that revealed it
+ * @param {number} [source.revealedAt] - Timestamp of the reveal
+ * @param {string[]} source.characterIds - The characters that learned it
+ * @param {string} [source.messageId] - The check's chat card, which lets the GM record for the whole group
+ */
+export async function recordCheck(monster, knowledge, { revealedBy, revealedAt = Date.now(), characterIds, messageId }) {
+  const mode = game.settings.get(MODULE_ID, "autoRecord");
+  if (mode === "off") return;
+
+  // Only "always" records a creature when nothing true was learned about it
+  if (!knowledge.hasAny && (mode !== "always")) return;
+
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("MKC.Bestiary.NoGM"));
+    return;
+  }
+
+  // Nothing waits for the GM to answer, so a check is never held up by the bestiary
+  const entry = { monsterId: monster.id, monsterName: monster.name, knowledge, revealedBy, revealedAt, characterIds, messageId };
+  requestFromGM((mode === "confirm") ? "queueBestiaryEntry" : "addToBestiary", entry);
+}
+
+/**
+ * Add an entry to the GM review queue
+ * Runs on the active GM's client, and keeps only what the queue needs from an entry a player sent
+ * @param {Object} entry - See recordCheck
+ */
+export async function queueBestiaryEntry({ monsterId, knowledge, revealedBy, revealedAt, characterIds }) {
+  const monster = game.actors.get(monsterId);
+  if (!monster) return;
+
+  const entry = {
+    id: foundry.utils.randomID(),
+    monsterId,
+    monsterName: monster.name,
+    knowledge: sanitizeKnowledge(monster, knowledge),
+    revealedBy: String(revealedBy ?? ""),
+    revealedAt: Number(revealedAt) || Date.now(),
+    characterIds
+  };
+  const queue = game.settings.get(MODULE_ID, "bestiaryQueue") ?? [];
+  await game.settings.set(MODULE_ID, "bestiaryQueue", [...queue, entry]);
+  ui.notifications.info(game.i18n.format("MKC.Bestiary.Queued", { name: entry.monsterName }));
+  foundry.applications.instances.get(BestiaryQueue.DEFAULT_OPTIONS.id)?.render();
+}
+
+/* -------------------------------------------- */
+/*  Journal Structure                           */
+/* -------------------------------------------- */
+
+/**
+ * Get all journals that belong to the bestiary, both the party's and each character's
+ * @returns {JournalEntry[]}
+ */
+export function getBestiaryJournals() {
+  return game.journal.filter(j => j.getFlag(MODULE_ID, "bestiary"));
+}
+
+/**
+ * Get the journals of the party bestiary
+ * @returns {JournalEntry[]}
+ */
+function getPartyJournals() {
+  return getBestiaryJournals().filter(j => !j.getFlag(MODULE_ID, "characterId"));
+}
+
+/**
+ * Find the page recording a creature in one bestiary
+ * @param {string} creatureKey
+ * @param {JournalEntry[]} journals - The journals of the bestiary
+ * @returns {JournalEntryPage|undefined}
+ */
+function findBestiaryPage(creatureKey, journals) {
+  for (const journal of journals) {
+    const page = journal.pages.find(p => p.getFlag(MODULE_ID, "creatureKey") === creatureKey);
+    if (page) return page;
+  }
+}
+
+/**
+ * Get everything a user can read about a creature, merged from each bestiary they may observe
+ * @param {string} creatureKey
+ * @param {User} [user]
+ * @returns {{tiers: Object<string, Object>}}
+ */
+export function getRecordedKnowledge(creatureKey, user = game.user) {
+  const knowledge = { tiers: {} };
+  for (const journal of getBestiaryJournals()) {
+    const page = findBestiaryPage(creatureKey, [journal]);
+    if (!page?.testUserPermission(user, "OBSERVER")) continue;
+    mergeStoredKnowledge(knowledge, { tiers: foundry.utils.deepClone(page.getFlag(MODULE_ID, "knowledge")?.tiers ?? {}) });
+  }
+  return knowledge;
+}
+
+/**
+ * Get the bestiary folder, creating it if needed
+ * @returns {Promise<Folder>}
+ */
+async function getBestiaryFolder() {
+  const folder = game.folders.find(f => (f.type === "JournalEntry") && f.getFlag(MODULE_ID, "bestiary"));
+  if (folder) return folder;
+
+  return Folder.create({
+    name: game.i18n.localize("MKC.Journal.BestiaryName"),
+    type: "JournalEntry",
+    flags: { [MODULE_ID]: { bestiary: true } }
+  });
+}
+
+/**
+ * Get the bestiary journal for a creature type, creating it if needed
+ * @param {string} [creatureType] - The dnd5e creature type key
+ * @returns {Promise<JournalEntry>}
+ */
+async function getCreatureTypeJournal(creatureType) {
+  const type = CONFIG.DND5E.creatureTypes[creatureType] ? creatureType : "other";
+  const journal = getPartyJournals().find(j => j.getFlag(MODULE_ID, "creatureType") === type);
+  if (journal) return journal;
+
+  const folder = await getBestiaryFolder();
+  const label = CONFIG.DND5E.creatureTypes[type]?.label ?? "MKC.Journal.OtherCreatures";
+  return JournalEntry.create({
+    name: game.i18n.localize(label),
+    folder: folder.id,
+    ownership: getJournalOwnership(),
+    flags: { [MODULE_ID]: { bestiary: true, creatureType: type } }
+  });
+}
+
+/**
+ * Get a character's own bestiary journal, creating it if needed
+ * @param {Actor5e} character
+ * @returns {Promise<JournalEntry>}
+ */
+async function getCharacterJournal(character) {
+  const journal = getBestiaryJournals().find(j => j.getFlag(MODULE_ID, "characterId") === character.id);
+  if (journal) return journal;
+
+  const folder = await getBestiaryFolder();
+  return JournalEntry.create({
+    name: game.i18n.format("MKC.Journal.CharacterBestiary", { name: character.name }),
+    folder: folder.id,
+    ownership: getJournalOwnership(character.id),
+    flags: { [MODULE_ID]: { bestiary: true, characterId: character.id } }
+  });
+}
+
+/* -------------------------------------------- */
+/*  Ownership                                   */
+/* -------------------------------------------- */
+
+/**
+ * Get the characters whose players may read the party bestiary
+ * Uses the system's primary party if one is set, otherwise every character a player owns
+ * @returns {Actor5e[]}
+ */
+function getPartyCharacters() {
+  const party = game.settings.get("dnd5e", "primaryParty")?.actor;
+  if (party) return party.system.members.map(member => member.actor ?? member).filter(Boolean);
+  return game.actors.filter(a => (a.type === "character") && a.hasPlayerOwner);
+}
+
+/**
+ * Get the ownership of a bestiary journal
+ * The players owning its characters may observe it, and nobody else but the GM may see it
+ * @param {string} [characterId] - The character of a character bestiary, or none for the party bestiary
+ * @returns {Object<string, number>}
+ */
+function getJournalOwnership(characterId) {
+  const characters = characterId ? [game.actors.get(characterId)].filter(Boolean) : getPartyCharacters();
+  const ownership = { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE };
+  for (const user of game.users) {
+    if (user.isGM || !characters.some(character => character.testUserPermission(user, "OWNER"))) continue;
+    ownership[user.id] = CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER;
+  }
+  return ownership;
+}
+
+/**
+ * Let new owners of a bestiary journal's characters read it
+ * Only missing readers are added, so permissions the GM has set on the journal are kept
+ * @param {JournalEntry} journal
+ */
+async function updateOwnership(journal) {
+  const { OBSERVER } = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+  const ownership = getJournalOwnership(journal.getFlag(MODULE_ID, "characterId"));
+  const missing = Object.keys(ownership).filter(id => (id !== "default") && !journal.testUserPermission(game.users.get(id), "OBSERVER"));
+  if (!missing.length) return;
+  await journal.update({ ownership: Object.fromEntries(missing.map(id => [id, OBSERVER])) });
+}
+
+/**
+ * Get the structured knowledge recorded on a bestiary page
+ * Pages written before knowledge was stored structurally keep their old HTML as legacy notes
+ * @param {JournalEntryPage} [page]
+ * @returns {{tiers: Object<string, Object>, legacyContent: string}}
+ */
+function getStoredKnowledge(page) {
+  const stored = page?.getFlag(MODULE_ID, "knowledge");
+  if (stored) return foundry.utils.deepClone(stored);
+  return {
+    tiers: {},
+    legacyContent: page?.text.content ?? ""
+  };
+}
+
+/**
+ * Rebuild knowledge revealed by a check so only what the module itself produces is recorded
+ * Tiers take their labels from the world's tiers and lore comes from the creature itself, as lore is the only HTML
+ * the journal takes as it is; every other fact keeps only its plain fields, which the journal escapes
+ * @param {Actor5e} monster
+ * @param {Object} knowledge - As sent by the client that made the check
+ * @returns {{tiers: Object[], hasAny: boolean}}
+ */
+function sanitizeKnowledge(monster, knowledge) {
+  const tierLabels = getTierLabels();
+  const lore = getMonsterLore(monster);
+  const isText = value => ["string", "number"].includes(typeof value);
+  const isTextList = value => Array.isArray(value) && value.every(isText);
+
+  const tiers = [];
+  for (const tier of Array.isArray(knowledge?.tiers) ? knowledge.tiers : []) {
+    if (!tierLabels[tier?.id] || !Array.isArray(tier.info)) continue;
+
+    const info = tier.info.flatMap(fact => {
+      if (!fact || fact.isFalse || !isText(fact.label)) return [];
+      if (fact.isLore || String(fact.key).startsWith("lore.")) {
+        const entry = lore.find(e => `lore.${e.id}` === fact.key);
+        if (!entry?.text) return [];
+        return { key: fact.key, label: entry.title || game.i18n.localize("MKC.Chat.Lore"), html: entry.text, isLore: true };
+      }
+
+      const clean = { label: String(fact.label) };
+      for (const field of ["key", "infoType", "value", "formula", "description", "emptyText", "trait"]) {
+        if (isText(fact[field])) clean[field] = fact[field];
+      }
+      for (const field of ["items", "damageTypes"]) {
+        if (isTextList(fact[field])) clean[field] = fact[field].map(String);
+      }
+      // Spell UUIDs become journal links, so they may only hold the characters a UUID has
+      if (isTextList(fact.uuids) && fact.uuids.every(uuid => /^[\w.-]+$/.test(uuid))) clean.uuids = [...fact.uuids];
+      if (fact.isFeature) clean.isFeature = true;
+      return clean;
+    });
+    if (info.length) tiers.push({ id: tier.id, ...tierLabels[tier.id], info });
+  }
+
+  return { tiers, hasAny: tiers.length > 0 };
+}
+
+/**
+ * Get what identifies a fact, so the same fact is only recorded once
+ * Lore and features are identified by their lore entry or item, and lists by their info type so later items join
+ * the list already recorded; anything else is identified by its info type and value
+ * @param {Object} fact
+ * @returns {string}
+ */
+function getFactKey(fact) {
+  if (fact.key) return fact.key;
+  const type = fact.infoType ?? fact.label;
+  if (fact.items) return [type, fact.trait].filter(Boolean).join(".");
+  return `${type}.${fact.value ?? fact.description ?? ""}`;
+}
+
+/**
+ * Add the items of a list that a recorded list is missing
+ * @param {Object} recorded - The recorded fact, modified in place
+ * @param {Object} fact - A fact with the same key
+ */
+function mergeFactItems(recorded, fact) {
+  if (!recorded.items || !fact.items) return;
+  fact.items.forEach((item, index) => {
+    if (recorded.items.includes(item)) return;
+    recorded.items.push(item);
+    if (recorded.uuids && fact.uuids) recorded.uuids.push(fact.uuids[index]);
+  });
+  if (fact.damageTypes) recorded.damageTypes = [...new Set([...(recorded.damageTypes ?? []), ...fact.damageTypes])];
+}
+
+/**
+ * Merge newly revealed knowledge into the stored knowledge
+ * Keeps the union of tiers and facts, and never replaces a fact that is already recorded, though lists gain new items
+ * @param {Object} stored - The stored knowledge, modified in place
+ * @param {Object} knowledge - The knowledge data from the chat message
+ * @param {Object} source - Who revealed the knowledge and when
+ */
+function mergeKnowledge(stored, knowledge, { revealedBy, revealedAt }) {
+  const knownFacts = new Map(Object.values(stored.tiers).flatMap(tier => tier.facts.map(fact => [getFactKey(fact), fact])));
+
+  for (const tier of knowledge.tiers) {
+    for (const info of tier.info) {
+      // False lore from a fumbled check is never recorded as truth
+      if (info.isFalse) continue;
+      const known = knownFacts.get(getFactKey(info));
+      if (known) {
+        mergeFactItems(known, info);
+        continue;
+      }
+
+      stored.tiers[tier.id] ??= {
+        label: tier.label,
+        icon: tier.icon,
+        level: tier.level,
+        facts: []
+      };
+      const fact = foundry.utils.deepClone({ ...info, revealedBy, revealedAt });
+      knownFacts.set(getFactKey(fact), fact);
+      stored.tiers[tier.id].facts.push(fact);
+    }
+  }
+}
+
+/**
+ * Merge one stored knowledge record into another, keeping the earliest reveal of each fact
+ * @param {Object} target - The stored knowledge to keep, modified in place
+ * @param {Object} other - The stored knowledge of a duplicate page
+ */
+function mergeStoredKnowledge(target, other) {
+  const facts = new Map();
+  for (const tier of Object.values(target.tiers)) {
+    for (const fact of tier.facts) facts.set(getFactKey(fact), fact);
+  }
+
+  for (const [tierId, tier] of Object.entries(other.tiers)) {
+    target.tiers[tierId] ??= { ...tier, facts: [] };
+
+    for (const fact of tier.facts) {
+      const existing = facts.get(getFactKey(fact));
+      if (!existing) {
+        facts.set(getFactKey(fact), fact);
+        target.tiers[tierId].facts.push(fact);
+        continue;
+      }
+
+      mergeFactItems(existing, fact);
+      if (fact.revealedAt && (!existing.revealedAt || (fact.revealedAt < existing.revealedAt))) {
+        existing.revealedBy = fact.revealedBy;
+        existing.revealedAt = fact.revealedAt;
+      }
+    }
+  }
+
+  if (other.legacyContent) {
+    target.legacyContent = [target.legacyContent, other.legacyContent].filter(Boolean).join("<hr>");
+  }
+}
+
+/**
+ * Build HTML content for bestiary entry
+ * @param {Object} stored - The stored knowledge
+ * @returns {string}
+ */
+function buildBestiaryContent(stored) {
+  const timestamp = new Date().toLocaleDateString();
+  let content = `<p><em>${game.i18n.format("MKC.Journal.LastUpdated", { date: timestamp })}</em></p><hr>`;
+
+  // Only the GM's own lore is written as HTML
+  const escape = Handlebars.escapeExpression;
+  const tiers = Object.values(stored.tiers).sort((a, b) => a.level - b.level);
+  for (const tier of tiers) {
+    content += `<h3>${escape(tier.label)}</h3>`;
+    
+    for (const info of tier.facts) {
+      const source = formatFactSource(info);
+      const label = escape(info.label);
+      if (info.subItems) {
+        content += `<p><strong>${label}:</strong>${source}</p><ul>`;
+        for (const sub of info.subItems) {
+          content += `<li><strong>${escape(sub.label)}:</strong> ${sub.items.map(escape).join(", ")}</li>`;
+        }
+        content += `</ul>`;
+      } else if (info.items) {
+        // Spell links are only written into the bestiary if players may see them
+        const linksForPlayers = (info.uuids?.length === info.items.length) && game.settings.get(MODULE_ID, "spellLinksForPlayers");
+        const items = info.items.map((name, i) => (linksForPlayers ? `@UUID[${info.uuids[i]}]{${escape(name)}}` : escape(name)));
+        if (info.items.length) {
+          content += `<p><strong>${label}:</strong> ${items.join(", ")}${source}</p>`;
+        } else {
+          content += `<p><strong>${label}:</strong> <em>${escape(info.emptyText || "None")}</em>${source}</p>`;
+        }
+      } else if (info.isLore) {
+        content += `<div class="mkc-lore"><p><strong>${label}</strong>${source}</p>${info.html}</div>`;
+      } else if (info.isFeature) {
+        content += `<p><strong><em>${label}.</em></strong> ${escape(info.description)}${source}</p>`;
+      } else {
+        content += `<p><strong>${label}:</strong> ${escape(info.value)}${info.formula ? ` (${escape(info.formula)})` : ""}${source}</p>`;
+      }
+    }
+  }
+
+  if (stored.legacyContent) {
+    content += `<hr><h3>${game.i18n.localize("MKC.Journal.EarlierNotes")}</h3>${stored.legacyContent}`;
+  }
+
+  return content;
+}
+
+/**
+ * Format who first revealed a fact and when
+ * @param {Object} info - A stored fact
+ * @returns {string}
+ */
+function formatFactSource(info) {
+  if (!info.revealedBy && !info.revealedAt) return "";
+  const date = info.revealedAt ? new Date(info.revealedAt).toLocaleDateString() : "";
+  const text = info.revealedBy
+    ? game.i18n.format("MKC.Journal.RevealedBy", { name: Handlebars.escapeExpression(info.revealedBy), date })
+    : date;
+  return ` <span class="mkc-fact-source"><em>(${text})</em></span>`;
+}
+
+/* -------------------------------------------- */
+/*  Repair                                      */
+/* -------------------------------------------- */
+
+/**
+ * Find duplicate and orphaned bestiary pages and merge them into one page per creature in each bestiary
+ * Pages from the old single-journal bestiary are matched to world actors by name and belong to the party bestiary
+ * @returns {Promise<{merged: number, moved: number, unresolved: number}>}
+ */
+export async function repairBestiary() {
+  const legacyName = game.i18n.localize("MKC.Journal.BestiaryName");
+  const journals = [
+    ...getBestiaryJournals(),
+    ...game.journal.filter(j => (j.name === legacyName) && !j.getFlag(MODULE_ID, "bestiary"))
+  ];
+  const summary = { merged: 0, moved: 0, unresolved: 0 };
+
+  // Group every page by the bestiary it belongs to and the creature it records
+  const groups = new Map();
+  for (const journal of journals) {
+    const characterId = journal.getFlag(MODULE_ID, "characterId") ?? null;
+    for (const page of journal.pages) {
+      let creatureKey = page.getFlag(MODULE_ID, "creatureKey");
+      let monster = creatureKey ? null : game.actors.find(a => (a.type === "npc") && (a.name === page.name));
+      if (monster) creatureKey = getCreatureKey(monster);
+      if (!creatureKey) {
+        summary.unresolved++;
+        continue;
+      }
+
+      const groupKey = `${characterId ?? ""}.${creatureKey}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { creatureKey, characterId, monster: null, pages: [] });
+      const group = groups.get(groupKey);
+      group.monster ??= monster ?? await fromUuid(creatureKey);
+      group.pages.push(page);
+    }
+  }
+
+  for (const { creatureKey, characterId, monster, pages } of groups.values()) {
+    // Keep the first page that already lives in a bestiary journal
+    const keep = pages.find(p => p.parent.getFlag(MODULE_ID, "bestiary"));
+    const duplicates = pages.filter(p => p !== keep);
+    if (keep && !duplicates.length && keep.getFlag(MODULE_ID, "creatureKey")) continue;
+
+    const stored = getStoredKnowledge(keep);
+    for (const page of duplicates) mergeStoredKnowledge(stored, getStoredKnowledge(page));
+
+    const pageData = {
+      name: keep?.name ?? monster?.name ?? pages[0].name,
+      "text.content": buildBestiaryContent(stored),
+      [`flags.${MODULE_ID}.creatureKey`]: creatureKey,
+      [`flags.${MODULE_ID}.knowledge`]: stored,
+      ...(monster ? { [`flags.${MODULE_ID}.creature`]: getCreatureDetails(monster) } : {})
+    };
+
+    if (keep) {
+      await keep.update(pageData);
+    } else {
+      const journal = characterId
+        ? await getCharacterJournal(game.actors.get(characterId))
+        : await getCreatureTypeJournal(monster?.system.details.type?.value);
+      await journal.createEmbeddedDocuments("JournalEntryPage", [
+        foundry.utils.expandObject({ type: "text", ...pageData })
+      ]);
+      summary.moved++;
+    }
+
+    for (const page of duplicates) {
+      if (keep) summary.merged++;
+      await page.delete();
+    }
+  }
+
+  // Remove old journals that have been emptied
+  for (const journal of journals) {
+    if (!journal.getFlag(MODULE_ID, "bestiary") && !journal.pages.size) await journal.delete();
+  }
+
+  return summary;
+}
+
+/* -------------------------------------------- */
+/*  Repair Menu                                 */
+/* -------------------------------------------- */
+
+/**
+ * Settings menu for running the bestiary repair
+ */
+export class BestiaryRepairMenu extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "mkc-bestiary-repair",
+    classes: ["dnd5e2", "mkc-bestiary-repair"],
+    window: {
+      title: "MKC.Repair.Title",
+      icon: "fas fa-screwdriver-wrench",
+      contentClasses: ["standard-form"]
+    },
+    position: {
+      width: 420,
+      height: "auto"
+    },
+    actions: {
+      repair: BestiaryRepairMenu.#onRepair
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE_ID}/templates/bestiary-repair.hbs`
+    }
+  };
+
+  /**
+   * Run the repair and report what changed
+   * @this {BestiaryRepairMenu}
+   */
+  static async #onRepair(event, target) {
+    target.disabled = true;
+    const summary = await repairBestiary();
+    ui.notifications.info(game.i18n.format("MKC.Repair.Done", summary));
+    this.close();
+  }
+}
+
+/* -------------------------------------------- */
+/*  Review Queue                                */
+/* -------------------------------------------- */
+
+/**
+ * GM window for approving or rejecting checks waiting to be recorded in the bestiary
+ */
+export class BestiaryQueue extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "mkc-bestiary-queue",
+    classes: ["dnd5e2", "mkc-bestiary-queue"],
+    tag: "form",
+    window: {
+      title: "MKC.Bestiary.QueueTitle",
+      icon: "fas fa-inbox",
+      contentClasses: ["standard-form"],
+      resizable: true
+    },
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    actions: {
+      approve: BestiaryQueue.#onApprove,
+      reject: BestiaryQueue.#onReject
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE_ID}/templates/bestiary-queue.hbs`,
+      scrollable: [".mkc-queue-list"]
+    }
+  };
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    context.entries = (game.settings.get(MODULE_ID, "bestiaryQueue") ?? []).map(entry => ({
+      id: entry.id,
+      name: entry.monsterName,
+      revealedBy: entry.revealedBy,
+      date: new Date(entry.revealedAt).toLocaleString(),
+      facts: entry.knowledge.tiers.flatMap(tier => tier.info.map(info => info.label)).join(", ")
+    }));
+
+    return context;
+  }
+
+  /**
+   * Get the IDs of the checked entries
+   * @returns {string[]}
+   */
+  _getSelected() {
+    const data = foundry.utils.expandObject(new FormDataExtended(this.element).object);
+    return Object.entries(data.selected ?? {}).filter(([, selected]) => selected).map(([id]) => id);
+  }
+
+  /**
+   * Remove entries from the queue
+   * @param {string[]} ids
+   */
+  async _removeEntries(ids) {
+    const queue = game.settings.get(MODULE_ID, "bestiaryQueue") ?? [];
+    await game.settings.set(MODULE_ID, "bestiaryQueue", queue.filter(entry => !ids.includes(entry.id)));
+    this.render();
+  }
+
+  /**
+   * Record the checked entries in the bestiary, oldest first
+   * @this {BestiaryQueue}
+   */
+  static async #onApprove(event, target) {
+    const ids = this._getSelected();
+    const queue = game.settings.get(MODULE_ID, "bestiaryQueue") ?? [];
+    for (const entry of queue.filter(e => ids.includes(e.id))) {
+      const { revealedBy, revealedAt, characterIds } = entry;
+      await addToBestiary(entry.monsterId, entry.knowledge, { revealedBy, revealedAt, characterIds });
+    }
+    await this._removeEntries(ids);
+  }
+
+  /**
+   * Discard the checked entries
+   * @this {BestiaryQueue}
+   */
+  static async #onReject(event, target) {
+    await this._removeEntries(this._getSelected());
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Combat Action Economy
+ * Makes knowledge checks cost an action during combat, tracking what each combatant has spent this round
+ * in the combatant's flags, as the system doesn't track action use itself
+ */
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Get the combatant a character is in the active combat as
+ * @param {Actor5e} actor
+ * @returns {Combatant|null} Null when there is no started combat, or the character isn't in it
+ */
+function getCombatant(actor) {
+  const combat = game.combat;
+  if (!combat?.started) return null;
+  return combat.getCombatantsByActor(actor)[0] ?? null;
+}
+
+/**
+ * Get the actions a combatant has spent this round
+ * @param {Combatant} combatant
+ * @returns {{action: boolean, bonus: boolean}}
+ */
+function getSpentActions(combatant) {
+  const spent = combatant.getFlag(MODULE_ID, "spentActions");
+  if (spent?.round !== combatant.combat.round) return { action: false, bonus: false };
+  return { action: !!spent.action, bonus: !!spent.bonus };
+}
+
+/**
+ * Get what a knowledge check costs a character, and whether the character can pay it
+ * Checks are free out of combat, or when the world doesn't charge for them
+ * @param {Actor5e} actor
+ * @param {string} skillId
+ * @returns {{combatant: Combatant, type: string, label: string, problem: string|null}|null}
+ */
+export function getCheckCost(actor, skillId) {
+  const setting = game.settings.get(MODULE_ID, "combatCost");
+  const combatant = (setting === "off") ? null : getCombatant(actor);
+  if (!combatant) return null;
+
+  // The Study action is an action, and only covers Intelligence checks
+  const isStudy = (setting === "study") && (actor.system.skills[skillId]?.ability === "int");
+  const type = (setting === "bonus") ? "bonus" : "action";
+  const label = game.i18n.localize(isStudy ? "MKC.Combat.Study" : `MKC.Combat.${type.capitalize()}`);
+
+  let problem = null;
+  if (combatant.combat.combatant !== combatant) {
+    problem = game.i18n.format("MKC.Combat.NotYourTurn", { name: actor.name, cost: label });
+  } else if (getSpentActions(combatant)[type]) {
+    problem = game.i18n.format("MKC.Combat.AlreadySpent", { name: actor.name, cost: label });
+  }
+
+  return { combatant, type, label, problem };
+}
+
+/**
+ * Must everyone joining a group check help rather than roll?
+ * While checks cost an action in combat, only the character whose turn it is can pay for one
+ * @returns {boolean}
+ */
+export function isHelpOnlyInCombat() {
+  return (game.settings.get(MODULE_ID, "combatCost") !== "off") && !!game.combat?.started;
+}
+
+/**
+ * Does the world forbid checks whose cost can't be paid, rather than only warning about them?
+ * The GM is only ever warned
+ * @returns {boolean}
+ */
+export function blocksUnpaidChecks() {
+  return !game.user.isGM && (game.settings.get(MODULE_ID, "combatEnforcement") === "block");
+}
+
+/**
+ * Mark an action as spent by a combatant this round
+ * @param {Combatant} combatant
+ * @param {string} type - "action" or "bonus"
+ */
+export async function spendAction(combatant, type) {
+  const spent = { ...getSpentActions(combatant), [type]: true, round: combatant.combat.round };
+  await combatant.setFlag(MODULE_ID, "spentActions", spent);
+}
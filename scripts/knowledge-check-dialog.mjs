@@ -3,12 +3,138 @@
  * Uses Foundry VTT v13 ApplicationV2 API with tier-based knowledge system
  */
 
-import { getSetting, getTierInfo, getAllTierConfig, INFO_TYPES } from "./settings.mjs";
+import { getSetting, KNOWLEDGE_SKILLS } from "./settings.mjs";
+import { MonsterKnowledge, getTierLabels, getQuestionText, enrichLore } from "./monster-knowledge.mjs";
+import { getKnownTiers, recordKnownTiers } from "./knowledge-memory.mjs";
+import { needsApproval, requestApproval } from "./approval.mjs";
+import { requestFromGM } from "./socket.mjs";
+import { recordCheck } from "./bestiary.mjs";
+import { getAttemptBlock, recordAttempts } from "./attempts.mjs";
+import { getCheckCost, blocksUnpaidChecks, spendAction, isHelpOnlyInCombat } from "./combat.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 const MODULE_ID = "momos-guide-to-monsters";
 
+/**
+ * How many questions a player may ask in question mode
+ * @type {number}
+ */
+const QUESTION_SLOTS = 5;
+
+/**
+ * Get all player characters available to the current user
+ * For GMs, this returns all player characters
+ * For players, this returns characters they own
+ * @returns {Actor5e[]}
+ */
+export function getAvailableCharacters() {
+  if (game.user.isGM) {
+    // GMs can use any player character
+    return game.actors.filter(a => a.type === "character");
+  } else {
+    // Players can only use characters they own
+    return game.actors.filter(a => a.type === "character" && a.isOwner);
+  }
+}
+
+/**
+ * Record what a check revealed in the bestiary and in the memory of every character in the group
+ * Reads the check's chat card, so a secret check can be recorded when the GM reveals it
+ * @param {ChatMessage} message - The check's chat card
+ */
+export async function recordCheckResults(message) {
+  const { creatures = [], characterId, participantIds = [] } = message.flags[MODULE_ID] ?? {};
+  const group = [characterId, ...participantIds].map(id => game.actors.get(id)).filter(Boolean);
+  const source = {
+    revealedBy: game.actors.get(characterId)?.name ?? message.speaker.alias,
+    revealedAt: message.timestamp,
+    characterIds: group.map(actor => actor.id),
+    messageId: message.id
+  };
+
+  for (const { monsterId, knowledge, tiers, skillNotAllowed } of creatures) {
+    const monster = game.actors.get(monsterId);
+    if (!monster || skillNotAllowed) continue;
+
+    // Remember what the group has learned
+    for (const actor of tiers?.length ? group : []) {
+      if (actor.isOwner) await recordKnownTiers(actor, monster, tiers);
+      else requestFromGM("recordKnowledge", { characterId: actor.id, monsterId, tiers, messageId: message.id });
+    }
+
+    // Record the check in the bestiary if the world does so automatically
+    await recordCheck(monster, knowledge, source);
+  }
+}
+
+/**
+ * Get the knowledge a check truly revealed, leaving out any false lore
+ * @param {Object} knowledge
+ * @returns {Object}
+ */
+function getTrueKnowledge(knowledge) {
+  const isTrue = info => !info.isFalse;
+  const tiers = knowledge.tiers
+    .map(tier => ({ ...tier, info: tier.info.filter(isTrue) }))
+    .filter(tier => tier.info.length);
+  const { isFalse, ...trueKnowledge } = knowledge;
+  trueKnowledge.tiers = tiers;
+  trueKnowledge.hasAny = tiers.length > 0;
+  if (knowledge.questions) {
+    trueKnowledge.questions = knowledge.questions.map(question => {
+      const info = question.info.filter(isTrue);
+      return { ...question, info, answered: info.length > 0 };
+    });
+  }
+  return trueKnowledge;
+}
+
+/**
+ * Post what only the GM may know about a check, such as the totals of a blind check, in a whisper to the GMs
+ * Runs on the active GM's client, as players can read the whispers they write themselves
+ * @param {Object} notes
+ * @param {string} notes.characterName
+ * @param {string} notes.monsterNames
+ * @param {{name: string, participants: Object[]}[]} [notes.rolls] - The totals, once for shared rolls or per creature
+ * @param {{name: string, facts: Object[]}[]} [notes.falseLore] - The false facts told about each creature
+ */
+export async function postGMNotes(notes) {
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/knowledge-gm-notes.hbs`, notes);
+  await ChatMessage.create({
+    content,
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+    type: CONST.CHAT_MESSAGE_STYLES.OTHER
+  });
+}
+
+/**
+ * Post the card of a player's secret check
+ * Runs on the active GM's client, so the player isn't the card's author and can't read it until the GM reveals it
+ * @param {Object} messageData - The card as the player's dialog built it
+ * @param {User} user - The player who made the check
+ * @returns {Promise<string|undefined>} The card's ID, if it was posted
+ */
+export async function postSecretCard(messageData, user) {
+  const flags = messageData.flags?.[MODULE_ID];
+  const character = game.actors.get(flags?.characterId);
+  if (!user || !character?.testUserPermission(user, "OWNER")) return;
+
+  const { speaker, content, rolls, type } = messageData;
+  const message = await ChatMessage.create({
+    speaker,
+    content,
+    rolls,
+    type,
+    author: game.user.id,
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+    flags: { [MODULE_ID]: { ...flags, userId: user.id, visibility: "secret" } }
+  });
+  return message?.id;
+}
+
+/* -------------------------------------------- */
+
 /**
  * Dialog for configuring and rolling monster knowledge checks
  * @extends ApplicationV2
@@ -16,7 +142,8 @@ const MODULE_ID = "momos-guide-to-monsters";
 export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(ApplicationV2) {
   constructor(options = {}) {
     super(options);
-    this.monster = options.monster;
+    this.monsters = options.monsters ?? [options.monster];
+    this.creatures = this.monsters.map(monster => new MonsterKnowledge(monster));
     this.availableCharacters = options.availableCharacters || [];
     this.selectedCharacterId = options.defaultCharacterId || this.availableCharacters[0]?.id;
   }
@@ -61,10 +188,19 @@ export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(Applicati
   /*  Properties                                  */
   /* -------------------------------------------- */
 
-  monster;
+  monsters;
+  creatures;
   availableCharacters;
   selectedCharacterId;
 
+  /**
+   * Is the check made against more than one creature?
+   * @returns {boolean}
+   */
+  get isMultiple() {
+    return this.creatures.length > 1;
+  }
+
   /**
    * Get the currently selected player actor
    * @returns {Actor5e}
@@ -80,7 +216,7 @@ export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(Applicati
   /** @override */
   get title() {
     return game.i18n.format("MKC.Dialog.TitleWithMonster", { 
-      name: this.monster.name 
+      name: this.monsters.map(m => m.name).join(", ")
     });
   }
 
@@ -90,21 +226,6 @@ export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(Applicati
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
 
-    const tierConfig = getAllTierConfig();
-    
-    const dcs = {
-      tier1: getSetting("dcTier1"),
-      tier2: getSetting("dcTier2"),
-      tier3: getSetting("dcTier3"),
-      tier4: getSetting("dcTier4")
-    };
-    
-    // Include tier5 only if configured
-    const tier5Configured = tierConfig.tier5 && tierConfig.tier5.dc && tierConfig.tier5.info.length > 0;
-    if (tier5Configured) {
-      dcs.tier5 = tierConfig.tier5.dc;
-    }
-
     // Build character list for dropdown
     const characters = this.availableCharacters.map(char => ({
       id: char.id,
@@ -114,34 +235,197 @@ export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(Applicati
 
     // Get skills for currently selected character
     const skills = this._getKnowledgeSkills();
+    const selectedSkill = skills.find(s => s.recommended)?.id || skills[0]?.id || "arc";
+    for (const skill of skills) skill.selected = skill.id === selectedSkill;
 
-    context.monster = this.monster;
+    context.monsters = this.monsters;
+    context.isMultiple = this.isMultiple;
     context.player = this.player;
     context.characters = characters;
     context.skills = skills;
-    context.dcs = dcs;
-    context.tier5Configured = tier5Configured;
-    context.selectedSkill = skills[0]?.id || "arc";
+    context.autopassOptions = this._getAutopassOptions();
+    context.selectedSkill = selectedSkill;
+
+    // Several creatures can each get their own roll or share one
+    if (this.isMultiple) {
+      context.rollPerOptions = ["each", "once"].map(mode => ({
+        value: mode,
+        label: game.i18n.localize(`MKC.Dialog.RollPer${mode.capitalize()}`)
+      }));
+    }
+
+    // Question mode lets the player choose what to ask about, from anything the creatures' tiers can reveal
+    context.questionMode = getSetting("recallMode") === "questions";
+    if (context.questionMode) {
+      const infoTypes = new Set(this.creatures.flatMap(creature => Object.values(creature.getTierConfig()).flatMap(tier => tier.info ?? [])));
+      const questionOptions = [...infoTypes].map(infoType => ({ value: infoType, label: getQuestionText(infoType) }));
+      context.questionSlots = Array.fromRange(QUESTION_SLOTS).map(index => ({
+        index,
+        label: game.i18n.format("MKC.Dialog.QuestionN", { number: index + 1 }),
+        options: questionOptions
+      }));
+      context.questionHint = game.i18n.format("MKC.Dialog.QuestionsHint", { margin: getSetting("questionMargin") });
+    }
+
+    // Other characters that can join a group check
+    const groupRule = this._getGroupRule();
+    context.groupCandidates = this._getGroupCandidates().map(char => ({ id: char.id, name: char.name }));
+    context.groupRuleHint = game.i18n.localize(isHelpOnlyInCombat() ? "MKC.Combat.HelpOnly" : `MKC.GroupRule.${groupRule.capitalize()}Hint`);
+    context.helpOnly = groupRule === "help";
+
+    // Chat card visibility, defaulting to the world setting
+    const defaultVisibility = this._getDefaultVisibility();
+    context.visibilityOptions = ["public", "whisper", "blind", "secret"].map(mode => ({
+      value: mode,
+      label: game.i18n.localize(`MKC.Visibility.${mode.capitalize()}`),
+      selected: mode === defaultVisibility
+    }));
+
+    // Tell the player what the character already knows
+    const tierLabels = getTierLabels();
+    context.knownHints = [];
+    for (const creature of this.creatures) {
+      const knownTiers = getKnownTiers(this.player, creature.monster).filter(tier => tierLabels[tier]);
+      if (!knownTiers.length) continue;
+      const tiers = knownTiers.map(tier => tierLabels[tier].label).join(", ");
+      context.knownHints.push(this.isMultiple
+        ? game.i18n.format("MKC.Dialog.AlreadyKnownCreature", { name: creature.monster.name, tiers })
+        : game.i18n.format("MKC.Dialog.AlreadyKnown", { tiers }));
+    }
+
+    // Explain which creatures the character may not try to recall again yet
+    context.blockedHints = this.creatures.map(creature => getAttemptBlock(this.player, creature.monster)).filter(Boolean);
+    context.canIgnoreLimits = game.user.isGM && (getSetting("retryLimit") !== "off");
+
+    // In combat the check costs an action, which may not be available
+    const cost = getCheckCost(this.player, selectedSkill);
+    if (cost) {
+      context.costHint = game.i18n.format("MKC.Combat.CostHint", { cost: cost.label });
+      context.costProblem = cost.problem;
+    }
+
+    // Note when the DCs have been scaled to the monster's challenge rating
+    if (getSetting("dcMode") !== "fixed") {
+      context.dcHint = this.isMultiple
+        ? game.i18n.localize("MKC.Dialog.ScaledDCsEach")
+        : game.i18n.format("MKC.Dialog.ScaledDCs", { cr: this.monsters[0].system.details.cr ?? "—" });
+    }
+
+    // Explain the creature type skill mapping when it applies
+    const recommended = this._getRecommendedSkills();
+    if (recommended.length && (getSetting("skillMapMode") === "recommend")) {
+      const penalty = getSetting("offTypeDCPenalty");
+      context.skillHint = this.isMultiple
+        ? game.i18n.format("MKC.Dialog.SkillHintEach", { penalty })
+        : game.i18n.format("MKC.Dialog.SkillHint", { type: this.creatures[0].formatCreatureType(), penalty });
+    }
 
     return context;
   }
 
   /* -------------------------------------------- */
 
+  /**
+   * Get the characters that may join the selected character in a group check
+   * GMs may add any player character, players any character that has a player owner
+   * @returns {Actor5e[]}
+   */
+  _getGroupCandidates() {
+    return game.actors.filter(a => (a.type === "character")
+      && (a.id !== this.selectedCharacterId)
+      && (game.user.isGM || a.hasPlayerOwner));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get how a group check is resolved
+   * Everyone joining helps while checks cost an action in combat
+   * @returns {string} "best", "combined" or "help"
+   */
+  _getGroupRule() {
+    return isHelpOnlyInCombat() ? "help" : getSetting("groupRule");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the default chat card visibility, following the core roll mode if configured to
+   * @returns {string}
+   */
+  _getDefaultVisibility() {
+    const setting = getSetting("defaultVisibility");
+    if (setting !== "core") return setting;
+
+    const rollModes = {
+      publicroll: "public",
+      gmroll: "whisper",
+      blindroll: "blind",
+      selfroll: "secret"
+    };
+    return rollModes[game.settings.get("core", "rollMode")] ?? "public";
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the Background Knowledge choices
+   * The DC is only shown when there is a single creature, as each creature has its own
+   * @returns {{value: string, label: string}[]}
+   */
+  _getAutopassOptions() {
+    const tierLabels = getTierLabels();
+    if (!this.isMultiple) {
+      return Object.entries(this.creatures[0].getTierDCs()).map(([tier, dc]) => ({
+        value: tier,
+        label: `${tierLabels[tier].label} (DC ${dc})`
+      }));
+    }
+
+    const tiers = new Set(this.creatures.flatMap(creature => Object.keys(creature.getTierDCs())));
+    return Object.keys(tierLabels).filter(tier => tiers.has(tier)).map(tier => ({
+      value: tier,
+      label: tierLabels[tier].label
+    }));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the skills recommended for any of the creatures
+   * @returns {string[]}
+   */
+  _getRecommendedSkills() {
+    return [...new Set(this.creatures.flatMap(creature => creature.getRecommendedSkills()))];
+  }
+
+  /* -------------------------------------------- */
+
   _getKnowledgeSkills() {
-    const knowledgeSkillIds = ["arc", "his", "nat", "rel"];
+    const recommended = this._getRecommendedSkills();
     const skills = [];
 
-    for (const skillId of knowledgeSkillIds) {
+    for (const skillId of KNOWLEDGE_SKILLS) {
       const skill = this.player.system.skills[skillId];
       const skillConfig = CONFIG.DND5E.skills[skillId];
       
       if (skill && skillConfig) {
+        const isRecommended = recommended.includes(skillId);
+        
+        // Off-type skills are hidden entirely in restrict mode
+        if (!this.creatures.some(creature => creature.allowsSkill(skillId))) continue;
+        
+        // Only show the penalty when it is the same for every creature
+        const penalties = new Set(this.creatures.map(creature => creature.getSkillPenalty(skillId)));
+        const penalty = (penalties.size === 1) ? penalties.first() : 0;
         skills.push({
           id: skillId,
           label: skillConfig.label,
           modifier: skill.total,
-          modifierDisplay: (skill.total >= 0 ? "+" : "") + skill.total
+          modifierDisplay: (skill.total >= 0 ? "+" : "") + skill.total,
+          recommended: isRecommended,
+          penalty,
+          penaltyDisplay: penalty ? game.i18n.format("MKC.Dialog.OffTypePenalty", { penalty }) : ""
         });
       }
     }
@@ -179,500 +463,479 @@ export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(Applicati
       this.selectedCharacterId = data.character;
     }
     
-    const skill = data.skill;
-    const advantage = data.advantage || false;
-    const dcModifier = parseInt(data.dcModifier) || 0;
-    const autopass = data.autopass || "";
-
-    await this._performKnowledgeCheck(skill, advantage, dcModifier, autopass);
+    // Questions in the order they were chosen, ignoring empty slots and repeats
+    const questions = [...new Set(Object.values(foundry.utils.expandObject(data).questions ?? {}).filter(Boolean))];
+
+    // Other characters joining a group check
+    const participants = Object.entries(foundry.utils.expandObject(data).participants ?? {})
+      .filter(([id, role]) => role && (id !== this.selectedCharacterId))
+      .map(([id, role]) => ({ actor: game.actors.get(id), role }))
+      .filter(p => p.actor);
+
+    await this.runCheck({
+      skill: data.skill,
+      advantage: data.advantage || false,
+      dcModifier: parseInt(data.dcModifier) || 0,
+      autopass: data.autopass || "",
+      visibility: data.visibility || "public",
+      rollPer: data.rollPer || "each",
+      questions,
+      participants,
+      ignoreLimits: data.ignoreLimits
+    });
   }
 
   /* -------------------------------------------- */
 
-  async _performKnowledgeCheck(skillId, advantage, dcModifier, autopass) {
-    const skill = this.player.system.skills[skillId];
-    const skillConfig = CONFIG.DND5E.skills[skillId];
+  /**
+   * Make the check as the dialog would when submitted, following the world's rules for questions,
+   * attempt limits, combat actions and the GM's approval
+   * Also used to make checks without showing the dialog
+   * @param {Object} [options]
+   * @param {string} [options.skill] - Defaults to a recommended skill
+   * @param {boolean} [options.advantage=false]
+   * @param {number} [options.dcModifier=0]
+   * @param {string} [options.autopass=""] - A Background Knowledge tier
+   * @param {string} [options.visibility] - Defaults to the world's chat card visibility
+   * @param {string} [options.rollPer="each"]
+   * @param {string[]} [options.questions=[]]
+   * @param {{actor: Actor5e, role: string}[]} [options.participants=[]]
+   * @param {boolean} [options.ignoreLimits=false] - Ignore the attempt limit, which only the GM may do
+   * @returns {Promise<Object[]|null>} The outcome for each creature, or null if no check was made
+   */
+  async runCheck({
+    skill, advantage = false, dcModifier = 0, autopass = "", visibility = this._getDefaultVisibility(), rollPer = "each",
+    questions = [], participants = [], ignoreLimits = false
+  } = {}) {
+    const skills = this._getKnowledgeSkills();
+    skill ??= (skills.find(s => s.recommended) ?? skills[0])?.id;
+    if (!skills.some(s => s.id === skill)) {
+      ui.notifications.warn(game.i18n.format("MKC.Warnings.InvalidSkill", { skill }));
+      return null;
+    }
 
-    // Get tier config with DC modifier applied
-    const tierConfig = getAllTierConfig();
-    const dcs = {
-      tier1: tierConfig.tier1.dc + dcModifier,
-      tier2: tierConfig.tier2.dc + dcModifier,
-      tier3: tierConfig.tier3.dc + dcModifier,
-      tier4: tierConfig.tier4.dc + dcModifier
-    };
-    
-    // Only include tier5 if it's configured
-    if (tierConfig.tier5 && tierConfig.tier5.dc && tierConfig.tier5.info.length > 0) {
-      dcs.tier5 = tierConfig.tier5.dc + dcModifier;
+    if ((getSetting("recallMode") === "questions") && !questions.length) {
+      ui.notifications.warn(game.i18n.localize("MKC.Warnings.NoQuestions"));
+      return null;
     }
 
-    let roll = null;
-    let effectiveTotal = 0;
-    let isAutopass = false;
+    // Everyone rolling must be allowed another try at every creature, unless the GM ignores the limits
+    if (!(game.user.isGM && ignoreLimits)) {
+      const groupRolls = this._getGroupRule() !== "help";
+      const rollers = [this.player, ...participants.filter(p => groupRolls && (p.role === "roll")).map(p => p.actor)];
+      const blocked = rollers.flatMap(actor => this.monsters.map(monster => getAttemptBlock(actor, monster))).filter(Boolean);
+      if (blocked.length) {
+        ui.notifications.warn(blocked.join(" "));
+        return null;
+      }
+    }
 
-    if (autopass) {
-      isAutopass = true;
-      effectiveTotal = dcs[autopass];
-    } else {
-      let rollFormula = advantage ? "2d20kh" : "1d20";
-      rollFormula += ` + ${skill.total}`;
-      
-      roll = new Roll(rollFormula, this.player.getRollData());
-      await roll.evaluate();
-      effectiveTotal = roll.total;
+    if ((visibility === "secret") && !game.users.activeGM) {
+      ui.notifications.warn(game.i18n.localize("MKC.Chat.SecretNoGM"));
+      return null;
     }
 
-    // Determine what tiers were unlocked
-    const unlockedTiers = this._determineUnlockedTiers(effectiveTotal, dcs);
-    
-    // Gather knowledge based on unlocked tiers
-    const knowledge = this._gatherKnowledge(unlockedTiers, tierConfig);
+    // Checks made when the character can't spend the action are warned about or refused
+    const cost = getCheckCost(this.player, skill);
+    if (cost?.problem) {
+      ui.notifications.warn(cost.problem);
+      if (blocksUnpaidChecks()) return null;
+    }
 
-    // Send to chat
-    await this._sendResultToChat(roll, skillId, skillConfig, knowledge, dcs, advantage, dcModifier, isAutopass, autopass);
+    // Background Knowledge and DC modifiers may need the GM's approval first
+    if (needsApproval({ autopass, dcModifier })) {
+      const approved = await requestApproval({
+        characterName: this.player.name,
+        monsterName: this.monsters.map(m => m.name).join(", "),
+        autopass,
+        dcModifier,
+        autopassOptions: this._getAutopassOptions()
+      });
+      if (!approved) return null;
+      ({ autopass, dcModifier } = approved);
+    }
+
+    return this._performKnowledgeCheck(skill, advantage, dcModifier, autopass, visibility, participants, rollPer, questions, cost);
   }
 
   /* -------------------------------------------- */
 
-  _determineUnlockedTiers(rollTotal, dcs) {
-    const unlocked = {};
-    const tierOrder = ["tier1", "tier2", "tier3", "tier4", "tier5"];
-    
-    for (const tier of tierOrder) {
-      if (dcs[tier]) {
-        unlocked[tier] = rollTotal >= dcs[tier];
-      }
+  /**
+   * Roll the knowledge check and post the result
+   * @param {string} skillId
+   * @param {boolean} advantage
+   * @param {number} dcModifier
+   * @param {string} autopass - The lead character's Background Knowledge tier, if any
+   * @param {string} [visibility="public"]
+   * @param {{actor: Actor5e, role: string}[]} [participants=[]] - Other characters joining a group check, with role "roll" or "help"
+   * @param {string} [rollPer="each"] - With several creatures, "each" rolls once per creature and "once" rolls once against all
+   * @param {string[]} [questions=[]] - Info types asked about in question mode, in the order they were chosen
+   * @param {Object|null} [cost=null] - The action the check costs in combat, from getCheckCost
+   * @returns {Promise<Object[]|null>} The outcome for each creature, or null if the check was cancelled
+   */
+  async _performKnowledgeCheck(skillId, advantage, dcModifier, autopass, visibility = "public", participants = [], rollPer = "each", questions = [], cost = null) {
+    const creatures = this.creatures.filter(creature => !creature.unknowable);
+    if (!creatures.length) {
+      ui.notifications.warn(game.i18n.localize("MKC.Warnings.Unknowable"));
+      return null;
     }
-    
-    return unlocked;
-  }
 
-  /* -------------------------------------------- */
+    // Other modules may change the check before anything is rolled, or cancel it
+    const config = { skillId, advantage, dcModifier, autopass, visibility, participants, rollPer, questions };
+    if (Hooks.call(`${MODULE_ID}.preRollKnowledgeCheck`, this, config) === false) return null;
+    ({ skillId, advantage, dcModifier, autopass, visibility, participants, rollPer, questions } = config);
 
-  _gatherKnowledge(unlockedTiers, tierConfig) {
-    const knowledge = {
-      tiers: [],
-      hasAny: false
-    };
+    const skillConfig = CONFIG.DND5E.skills[skillId];
 
-    const tierLabels = {
-      tier1: { label: game.i18n.localize("MKC.Tier.I"), icon: "fas fa-star", level: 1 },
-      tier2: { label: game.i18n.localize("MKC.Tier.II"), icon: "fas fa-star", level: 2 },
-      tier3: { label: game.i18n.localize("MKC.Tier.III"), icon: "fas fa-star", level: 3 },
-      tier4: { label: game.i18n.localize("MKC.Tier.IV"), icon: "fas fa-crown", level: 4 },
-      tier5: { label: game.i18n.localize("MKC.Tier.V"), icon: "fas fa-gem", level: 5 }
+    // Helpers grant advantage to the lead roller; under the Help rule everyone but the lead helps
+    const groupRule = this._getGroupRule();
+    const helpers = participants.filter(p => (p.role === "help") || (groupRule === "help"));
+    const rollers = [{ actor: this.player, role: "lead" }, ...participants.filter(p => !helpers.includes(p))];
+    const rollGroup = async () => {
+      const rolls = [];
+      for (const { actor, role } of rollers) {
+        const isLead = role === "lead";
+        const result = await this._rollParticipant(actor, skillId, {
+          advantage: advantage || (isLead && (helpers.length > 0)),
+          autopass: isLead ? autopass : ""
+        });
+        if (!result) return null;
+        rolls.push(result);
+      }
+      return rolls;
     };
 
-    for (const [tierId, unlocked] of Object.entries(unlockedTiers)) {
-      if (unlocked && tierConfig[tierId]) {
-        const infoTypes = tierConfig[tierId].info;
-        if (!infoTypes || infoTypes.length === 0) continue;
-        
-        knowledge.hasAny = true;
-        const tierData = {
-          id: tierId,
-          ...tierLabels[tierId],
-          unlocked: true,
-          info: []
-        };
-
-        for (const infoType of infoTypes) {
-          const info = this._getInfoByType(infoType);
-          if (info) {
-            // Handle array returns (like resistances which returns multiple items)
-            if (Array.isArray(info)) {
-              tierData.info.push(...info);
-            } else {
-              tierData.info.push(info);
-            }
-          }
-        }
-
-        if (tierData.info.length > 0) {
-          knowledge.tiers.push(tierData);
-        }
+    // Rolling once against all creatures shares the same dice between them
+    const sharedRolls = (rollPer === "once") || (creatures.length === 1);
+    const rolls = sharedRolls ? await rollGroup() : null;
+    if (sharedRolls && !rolls) return null;
+    const group = [this.player, ...participants.map(p => p.actor)];
+
+    const outcomes = [];
+    for (const creature of creatures) {
+      if (!creature.allowsSkill(skillId)) {
+        outcomes.push({ creature, results: [], knowledge: { tiers: [], alreadyKnown: [], hasAny: false }, skillNotAllowed: true });
+        continue;
       }
-    }
 
-    return knowledge;
-  }
+      // DC modifier and off-type skill penalty applied to this creature's DCs
+      const skillPenalty = creature.getSkillPenalty(skillId);
+      const tierConfig = creature.getTierConfig();
+      const dcs = creature.getTierDCs(dcModifier + skillPenalty);
+
+      const creatureRolls = rolls ?? await rollGroup();
+      if (!creatureRolls) return null;
+      const results = creatureRolls.map(r => this._evaluateRoll(r, dcs, questions));
+      const outcome = this._resolveGroupResult(results, groupRule);
+
+      // Answer the questions asked, or gather knowledge based on unlocked tiers, skipping what every participant already knows
+      let knowledge;
+      if (questions.length) knowledge = creature.answerQuestions(questions, outcome.answered, tierConfig);
+      else {
+        const knownTiers = group
+          .map(actor => getKnownTiers(actor, creature.monster))
+          .reduce((common, tiers) => common.filter(tier => tiers.includes(tier)));
+        knowledge = creature.gatherKnowledge(outcome.unlockedTiers, tierConfig, knownTiers);
+      }
+      knowledge.naturalTwenty = outcome.naturalTwenty;
 
-  /* -------------------------------------------- */
+      // Answered questions don't cover whole tiers, so they aren't remembered
+      const unlockedTiers = questions.length ? null : outcome.unlockedTiers;
 
-  _getInfoByType(infoType) {
-    const system = this.monster.system;
-    
-    switch (infoType) {
-      case "resistances":
-        return this._getResistancesInfo();
-      case "conditionImmunities":
-        return this._getConditionImmunitiesInfo();
-      case "highestStat":
-        return this._getHighestStatInfo();
-      case "lowestStat":
-        return this._getLowestStatInfo();
-      case "ac":
-        return {
-          label: game.i18n.localize("MKC.InfoType.AC"),
-          value: system.attributes.ac?.value ?? "—"
-        };
-      case "hp":
-        return {
-          label: game.i18n.localize("MKC.InfoType.HP"),
-          value: system.attributes.hp?.max ?? "—",
-          formula: system.attributes.hp?.formula || null
-        };
-      case "speed":
-        return {
-          label: game.i18n.localize("MKC.InfoType.Speed"),
-          value: this._formatSpeed()
-        };
-      case "senses":
-        return {
-          label: game.i18n.localize("MKC.InfoType.Senses"),
-          value: this._formatSenses()
-        };
-      case "languages":
-        return {
-          label: game.i18n.localize("MKC.InfoType.Languages"),
-          value: this._formatLanguages()
-        };
-      case "cr":
-        return {
-          label: game.i18n.localize("MKC.InfoType.CR"),
-          value: system.details.cr ?? "—"
-        };
-      case "creatureType":
-        return {
-          label: game.i18n.localize("MKC.InfoType.CreatureType"),
-          value: this._formatCreatureType()
-        };
-      case "allStats":
-        return {
-          label: game.i18n.localize("MKC.InfoType.AllStats"),
-          value: this._formatAllStats()
-        };
-      case "allSaves":
-        return {
-          label: game.i18n.localize("MKC.InfoType.AllSaves"),
-          value: this._formatAllSaves()
-        };
-      case "legendaryActions":
-        return {
-          label: game.i18n.localize("MKC.InfoType.LegendaryActions"),
-          value: system.resources?.legact?.max ?? 0
-        };
-      case "legendaryResistances":
-        return {
-          label: game.i18n.localize("MKC.InfoType.LegendaryResistances"),
-          value: system.resources?.legres?.max ?? 0
-        };
-      default:
-        return null;
+      // Optional rule: a natural 1 or a miss by 10 or more adds convincing misinformation about what wasn't recalled
+      if (outcome.isFumble && getSetting("falseLoreOnFumble")) {
+        const falseLore = questions.length
+          ? creature.answerQuestions(questions.slice(outcome.answered), 1, tierConfig, { isFalse: true })
+          : creature.generateFalseLore(tierConfig, dcs);
+        this._addFalseLore(knowledge, falseLore, unlockedTiers);
+      }
+      outcomes.push({ creature, results, knowledge, skillPenalty, unlockedTiers });
     }
-  }
 
-  /* -------------------------------------------- */
+    // Other modules may change what each creature revealed, or cancel the check
+    if (Hooks.call(`${MODULE_ID}.knowledgeCheckResolved`, this, outcomes) === false) return null;
 
-  _getResistancesInfo() {
-    const traits = this.monster.system.traits;
-    const parts = [];
-    
-    const vuln = this._formatDamageTraits(traits.dv);
-    const res = this._formatDamageTraits(traits.dr);
-    const imm = this._formatDamageTraits(traits.di);
-    
-    // Build array of info items (same format as condition immunities)
-    const infoItems = [];
-    
-    if (vuln.length) {
-      infoItems.push({
-        label: game.i18n.localize("MKC.Chat.DamageVulnerabilities"),
-        items: vuln,
-        emptyText: ""
-      });
-    }
-    if (res.length) {
-      infoItems.push({
-        label: game.i18n.localize("MKC.Chat.DamageResistances"),
-        items: res,
-        emptyText: ""
-      });
-    }
-    if (imm.length) {
-      infoItems.push({
-        label: game.i18n.localize("MKC.Chat.DamageImmunities"),
-        items: imm,
-        emptyText: ""
+    // Send to chat
+    const messageId = await this._sendResultToChat({
+      outcomes, participants, helpers, skillId, skillConfig, dcModifier, autopass, visibility, groupRule, sharedRolls, cost
+    });
+    if (!messageId) return null;
+
+    // Spend the lead roller's action for this round
+    if (cost) {
+      if (cost.combatant.isOwner) await spendAction(cost.combatant, cost.type);
+      else requestFromGM("spendAction", {
+        combatId: cost.combatant.combat.id, combatantId: cost.combatant.id, type: cost.type, messageId
       });
     }
-    
-    if (infoItems.length === 0) {
-      return {
-        label: game.i18n.localize("MKC.Chat.DamageTraits"),
-        value: game.i18n.localize("MKC.Chat.NoDamageTraits")
-      };
+
+    // Count the check against every character who rolled, in the scene the roller is viewing
+    if (getSetting("retryLimit") !== "off") {
+      const monsterIds = outcomes.filter(outcome => !outcome.skillNotAllowed).map(outcome => outcome.creature.monster.id);
+      const sceneId = canvas.scene?.id ?? null;
+      for (const { actor } of rollers) {
+        if (actor.isOwner) await recordAttempts(actor, monsterIds, sceneId);
+        else requestFromGM("recordAttempts", { characterId: actor.id, monsterIds, sceneId, messageId });
+      }
     }
-    
-    // Return multiple items to be added individually
-    return infoItems;
-  }
 
-  /* -------------------------------------------- */
+    // Secret checks are recorded once the GM reveals them, so nothing learned shows before then
+    if (visibility !== "secret") await recordCheckResults(game.messages.get(messageId));
 
-  _getConditionImmunitiesInfo() {
-    const conditions = this._getConditionImmunities();
-    return {
-      label: game.i18n.localize("MKC.InfoType.ConditionImmunities"),
-      items: conditions,
-      emptyText: game.i18n.localize("MKC.Chat.NoConditionImmunities")
-    };
+    return outcomes;
   }
 
   /* -------------------------------------------- */
 
-  _getHighestStatInfo() {
-    const stat = this._getHighestStat();
-    if (!stat) return null;
-    
-    const saveSign = stat.save >= 0 ? "+" : "";
-    return {
-      label: game.i18n.localize("MKC.Chat.HighestStat"),
-      value: `${stat.label}: ${stat.value} (${game.i18n.localize("MKC.Chat.Save")}: ${saveSign}${stat.save})`
-    };
-  }
+  /**
+   * Roll the knowledge check for one character
+   * Uses the system's skill check so roll configuration, effects, features and its hooks all apply,
+   * but keeps the roll out of chat so the result can go on a single card
+   * @param {Actor5e} actor
+   * @param {string} skillId
+   * @param {Object} options
+   * @param {boolean} options.advantage
+   * @param {string} options.autopass - Background Knowledge tier, which replaces the roll
+   * @returns {Promise<{actor: Actor5e, roll: D20Roll|null, advantage: boolean, isAutopass: boolean, autopass: string}|null>}
+   *   Null if the roll was cancelled
+   */
+  async _rollParticipant(actor, skillId, { advantage, autopass }) {
+    if (autopass) return { actor, roll: null, advantage, isAutopass: true, autopass };
 
-  /* -------------------------------------------- */
+    const rolls = await actor.rollSkill({ skill: skillId, advantage }, {}, { create: false });
+    const roll = rolls?.[0];
+    if (!roll) return null;
 
-  _getLowestStatInfo() {
-    const stat = this._getLowestStat();
-    if (!stat) return null;
-    
-    const saveSign = stat.save >= 0 ? "+" : "";
-    return {
-      label: game.i18n.localize("MKC.Chat.LowestStat"),
-      value: `${stat.label}: ${stat.value} (${game.i18n.localize("MKC.Chat.Save")}: ${saveSign}${stat.save})`
-    };
+    return { actor, roll, advantage: roll.hasAdvantage, isAutopass: false, autopass };
   }
 
   /* -------------------------------------------- */
 
-  _formatDamageTraits(trait) {
-    if (!trait) return [];
-    
-    const values = [];
-    
-    if (trait.value instanceof Set) {
-      for (const type of trait.value) {
-        const label = CONFIG.DND5E.damageTypes[type]?.label || type;
-        values.push(label);
-      }
-    } else if (Array.isArray(trait.value)) {
-      for (const type of trait.value) {
-        const label = CONFIG.DND5E.damageTypes[type]?.label || type;
-        values.push(label);
-      }
-    }
-    
-    if (trait.custom) values.push(trait.custom);
-    
-    return values;
-  }
+  /**
+   * Work out which of a creature's tiers a roll unlocks, or how many questions it answers
+   * @param {Object} result - From _rollParticipant
+   * @param {Object<string, number>} dcs
+   * @param {string[]} [questions=[]] - Questions asked in question mode
+   * @returns {Object} The result with its total, unlocked tiers, answered questions and natural 20 and fumble outcomes
+   */
+  _evaluateRoll(result, dcs, questions = []) {
+    const { roll, autopass } = result;
 
-  /* -------------------------------------------- */
+    // Background Knowledge meets the chosen tier's DC, or every DC if the creature lacks that tier
+    const total = autopass ? (dcs[autopass] ?? Math.max(...Object.values(dcs))) : roll.total;
 
-  _getConditionImmunities() {
-    const ci = this.monster.system.traits.ci;
-    if (!ci) return [];
-    
-    const values = [];
-    
-    if (ci.value instanceof Set) {
-      for (const condition of ci.value) {
-        const label = CONFIG.DND5E.conditionTypes[condition]?.label || condition;
-        values.push(label);
-      }
-    } else if (Array.isArray(ci.value)) {
-      for (const condition of ci.value) {
-        const label = CONFIG.DND5E.conditionTypes[condition]?.label || condition;
-        values.push(label);
-      }
-    }
-    
-    if (ci.custom) values.push(ci.custom);
-    
-    return values;
-  }
+    // Determine what tiers were unlocked
+    const unlockedTiers = this._determineUnlockedTiers(total, dcs);
 
-  /* -------------------------------------------- */
+    const lowestDC = Math.min(...Object.values(dcs));
+    let answered = questions.length ? this._determineAnsweredQuestions(total, lowestDC, questions.length) : null;
 
-  _getHighestStat() {
-    const abilities = this.monster.system.abilities;
-    let highest = { id: null, value: -Infinity, save: 0, label: "" };
-    
-    for (const [id, ability] of Object.entries(abilities)) {
-      if (ability.value > highest.value) {
-        highest = {
-          id,
-          value: ability.value,
-          save: ability.save?.value ?? ability.save ?? 0,
-          label: CONFIG.DND5E.abilities[id]?.label || id
-        };
-      }
+    // Optional rule: a natural 20 unlocks one extra tier, or answers one extra question
+    let naturalTwenty = !!roll?.isCritical && getSetting("naturalTwentyBonus");
+    if (naturalTwenty && questions.length) {
+      naturalTwenty = answered < questions.length;
+      if (naturalTwenty) answered++;
     }
-    
-    return highest.id ? highest : null;
-  }
+    else if (naturalTwenty) naturalTwenty = this._unlockExtraTier(unlockedTiers);
 
-  /* -------------------------------------------- */
+    const isFumble = !!roll && (roll.isFumble || (lowestDC - total >= 10));
 
-  _getLowestStat() {
-    const abilities = this.monster.system.abilities;
-    let lowest = { id: null, value: Infinity, save: 0, label: "" };
-    
-    for (const [id, ability] of Object.entries(abilities)) {
-      if (ability.value < lowest.value) {
-        lowest = {
-          id,
-          value: ability.value,
-          save: ability.save?.value ?? ability.save ?? 0,
-          label: CONFIG.DND5E.abilities[id]?.label || id
-        };
-      }
-    }
-    
-    return lowest.id ? lowest : null;
+    return { ...result, total, unlockedTiers, answered, naturalTwenty, isFumble };
   }
 
   /* -------------------------------------------- */
 
-  _formatSpeed() {
-    const movement = this.monster.system.attributes.movement;
-    if (!movement) return "—";
-
-    const parts = [];
-    if (movement.walk) parts.push(`${movement.walk} ${movement.units || "ft."}`);
-    if (movement.fly) parts.push(`fly ${movement.fly} ${movement.units || "ft."}${movement.hover ? " (hover)" : ""}`);
-    if (movement.swim) parts.push(`swim ${movement.swim} ${movement.units || "ft."}`);
-    if (movement.climb) parts.push(`climb ${movement.climb} ${movement.units || "ft."}`);
-    if (movement.burrow) parts.push(`burrow ${movement.burrow} ${movement.units || "ft."}`);
+  /**
+   * Combine the results of every roller into the group's result
+   * @param {Object[]} results - From _evaluateRoll, the lead roller first
+   * @param {string} rule - "best" uses the best single roll, "combined" unlocks every tier anyone unlocked
+   * @returns {{unlockedTiers: Object<string, boolean>, answered: number|null, naturalTwenty: boolean, isFumble: boolean}}
+   */
+  _resolveGroupResult(results, rule) {
+    const unlockedCount = result => result.answered ?? Object.values(result.unlockedTiers).filter(Boolean).length;
+    const best = results.reduce((a, b) => {
+      if (unlockedCount(b) !== unlockedCount(a)) return unlockedCount(b) > unlockedCount(a) ? b : a;
+      return b.total > a.total ? b : a;
+    });
+    if ((results.length === 1) || (rule !== "combined")) {
+      best.isBest = results.length > 1;
+      return best;
+    }
 
-    return parts.join(", ") || "—";
+    const unlockedTiers = {};
+    for (const tier of Object.keys(best.unlockedTiers)) {
+      unlockedTiers[tier] = results.some(r => r.unlockedTiers[tier]);
+    }
+    return {
+      unlockedTiers,
+      answered: best.answered,
+      naturalTwenty: results.some(r => r.naturalTwenty),
+      isFumble: results.every(r => r.isFumble)
+    };
   }
 
   /* -------------------------------------------- */
 
-  _formatSenses() {
-    const senses = this.monster.system.attributes.senses;
-    if (!senses) return "—";
-
-    const parts = [];
-    const units = senses.units || "ft.";
+  _determineUnlockedTiers(rollTotal, dcs) {
+    const unlocked = {};
     
-    if (senses.darkvision) parts.push(`darkvision ${senses.darkvision} ${units}`);
-    if (senses.blindsight) parts.push(`blindsight ${senses.blindsight} ${units}`);
-    if (senses.tremorsense) parts.push(`tremorsense ${senses.tremorsense} ${units}`);
-    if (senses.truesight) parts.push(`truesight ${senses.truesight} ${units}`);
-    if (senses.special) parts.push(senses.special);
-
-    return parts.join(", ") || "—";
-  }
-
-  /* -------------------------------------------- */
-
-  _formatLanguages() {
-    const languages = this.monster.system.traits.languages;
-    if (!languages) return "—";
-
-    const parts = [];
-
-    if (languages.value instanceof Set) {
-      for (const lang of languages.value) {
-        const label = CONFIG.DND5E.languages[lang]?.label || lang;
-        parts.push(label);
-      }
-    } else if (Array.isArray(languages.value)) {
-      for (const lang of languages.value) {
-        const label = CONFIG.DND5E.languages[lang]?.label || lang;
-        parts.push(label);
-      }
+    // DCs are in tier order
+    for (const [tier, dc] of Object.entries(dcs)) {
+      unlocked[tier] = rollTotal >= dc;
     }
-
-    if (languages.custom) parts.push(languages.custom);
-
-    return parts.join(", ") || "—";
+    
+    return unlocked;
   }
 
   /* -------------------------------------------- */
 
-  _formatCreatureType() {
-    const details = this.monster.system.details;
-    const typeValue = details.type?.value;
-    const typeLabel = CONFIG.DND5E.creatureTypes[typeValue]?.label || typeValue || "—";
-    
-    if (details.type?.subtype) {
-      return `${typeLabel} (${details.type.subtype})`;
-    }
-    return typeLabel;
+  /**
+   * Work out how many questions a roll answers in question mode
+   * Meeting the base DC answers the first question, and each margin above it answers one more
+   * @param {number} rollTotal
+   * @param {number} baseDC - The creature's lowest tier DC
+   * @param {number} count - How many questions were asked
+   * @returns {number}
+   */
+  _determineAnsweredQuestions(rollTotal, baseDC, count) {
+    if (rollTotal < baseDC) return 0;
+    const margin = getSetting("questionMargin") || 5;
+    return Math.min(1 + Math.floor((rollTotal - baseDC) / margin), count);
   }
 
   /* -------------------------------------------- */
 
-  _formatAllStats() {
-    const abilities = this.monster.system.abilities;
-    const parts = [];
-
-    for (const [id, ability] of Object.entries(abilities)) {
-      const label = CONFIG.DND5E.abilities[id]?.abbreviation?.toUpperCase() || id;
-      parts.push(`${label}: ${ability.value}`);
+  /**
+   * Add false lore to what a check truly revealed
+   * The false facts leave out whatever the check recalled truly, so a fumble that still beat a DC keeps its true tiers
+   * @param {Object} knowledge - Modified in place
+   * @param {Object} falseLore - From generateFalseLore or answerQuestions
+   * @param {Object<string, boolean>|null} unlockedTiers - The tiers the check unlocked, if it recalled whole tiers
+   */
+  _addFalseLore(knowledge, falseLore, unlockedTiers) {
+    const recalled = new Set(knowledge.tiers.flatMap(tier => tier.info.map(info => info.infoType)));
+    for (const tier of falseLore.tiers) {
+      if (unlockedTiers?.[tier.id]) continue;
+      const info = tier.info.filter(i => !recalled.has(i.infoType));
+      if (!info.length) continue;
+
+      const existing = knowledge.tiers.find(t => t.id === tier.id);
+      if (existing) existing.info.push(...info);
+      else knowledge.tiers.push({ ...tier, info });
+      knowledge.hasAny = knowledge.isFalse = true;
     }
+    knowledge.tiers.sort((a, b) => a.level - b.level);
 
-    return parts.join(", ");
+    // False answers only replace questions the check left unanswered
+    for (const question of falseLore.questions ?? []) {
+      const index = knowledge.questions.findIndex(q => q.id === question.id);
+      if (question.answered && (index >= 0) && !knowledge.questions[index].answered) knowledge.questions[index] = question;
+    }
   }
 
   /* -------------------------------------------- */
 
-  _formatAllSaves() {
-    const abilities = this.monster.system.abilities;
-    const parts = [];
+  /**
+   * Unlock the lowest tier that is still locked
+   * @param {Object<string, boolean>} unlockedTiers - Modified in place
+   * @returns {boolean} Whether a tier was unlocked
+   */
+  _unlockExtraTier(unlockedTiers) {
+    const tier = Object.keys(unlockedTiers).find(t => !unlockedTiers[t]);
+    if (!tier) return false;
+    unlockedTiers[tier] = true;
+    return true;
+  }
 
-    for (const [id, ability] of Object.entries(abilities)) {
-      const label = CONFIG.DND5E.abilities[id]?.abbreviation?.toUpperCase() || id;
-      const save = ability.save?.value ?? ability.save ?? 0;
-      const sign = save >= 0 ? "+" : "";
-      parts.push(`${label}: ${sign}${save}`);
-    }
+  /* -------------------------------------------- */
 
-    return parts.join(", ");
+  /**
+   * Get the users who should receive the chat card for a visibility mode
+   * @param {string} visibility - "public", "whisper", "blind" or "secret"
+   * @returns {string[]} User IDs, or an empty array for a public message
+   */
+  _getWhisperRecipients(visibility) {
+    if (visibility === "public") return [];
+    const gmIds = ChatMessage.getWhisperRecipients("GM").map(u => u.id);
+    if (visibility === "secret") return gmIds;
+    return [...new Set([...gmIds, game.user.id])];
   }
 
   /* -------------------------------------------- */
 
-  async _sendResultToChat(roll, skillId, skillConfig, knowledge, dcs, advantage, dcModifier, isAutopass, autopassLevel) {
+  /**
+   * Post the result of a check to chat as a single card, with a section for each creature
+   * @param {Object} result
+   * @param {Object[]} result.outcomes - The rolls and knowledge for each creature
+   * @param {{actor: Actor5e}[]} result.participants - Characters that joined the lead roller
+   * @param {{actor: Actor5e}[]} result.helpers - Characters that helped the lead roller
+   * @param {string} result.skillId
+   * @param {Object} result.skillConfig
+   * @param {number} result.dcModifier
+   * @param {string} result.autopass
+   * @param {string} result.visibility
+   * @param {string} result.groupRule
+   * @param {boolean} result.sharedRolls - Whether every creature was checked against the same rolls
+   * @param {Object|null} [result.cost] - The action the check cost in combat
+   * @returns {Promise<string|null>} The card's ID, or null if it wasn't posted
+   */
+  async _sendResultToChat({ outcomes, participants, helpers, skillId, skillConfig, dcModifier, autopass, visibility, groupRule, sharedRolls, cost }) {
     const templatePath = `modules/${MODULE_ID}/templates/knowledge-result.hbs`;
+    const isGroup = (participants.length > 0);
+    const rolled = outcomes.filter(o => o.results.length);
+    const lead = rolled[0]?.results[0];
+    const rolls = [...new Set(rolled.flatMap(o => o.results.map(r => r.roll)).filter(Boolean))];
+    
+    const autopassLevelLabel = autopass ? (getTierLabels()[autopass]?.label ?? "") : "";
+
+    const describeRolls = results => ({
+      isGroup,
+      roll: results[0]?.roll ? { total: results[0].roll.total, formula: results[0].roll.formula } : null,
+      isAutopass: results[0]?.isAutopass,
+      participants: results.map(r => ({
+        name: r.actor.name,
+        total: r.roll?.total,
+        formula: r.roll?.formula,
+        advantage: r.advantage,
+        isAutopass: r.isAutopass,
+        isBest: r.isBest
+      }))
+    });
     
-    let autopassLevelLabel = "";
-    if (autopassLevel) {
-      const tierNum = autopassLevel.replace("tier", "");
-      const romanNumerals = { "1": "I", "2": "II", "3": "III", "4": "IV", "5": "V" };
-      autopassLevelLabel = game.i18n.localize(`MKC.Tier.${romanNumerals[tierNum]}`);
-    }
-    
+    for (const { creature, knowledge } of outcomes) await enrichLore(knowledge, creature.monster);
+
     const templateData = {
-      monster: this.monster,
+      monsterNames: outcomes.map(o => o.creature.monster.name).join(", "),
       player: this.player,
       skill: skillConfig,
       skillId,
-      roll: roll ? { total: roll.total, formula: roll.formula } : null,
-      isAutopass,
-      autopassLevel,
+      isAutopass: !!autopass,
+      autopassLevel: autopass,
       autopassLevelLabel,
-      advantage,
+      advantage: lead?.advantage,
       dcModifier,
-      dcs,
-      tiers: knowledge.tiers,
-      hasKnowledge: knowledge.hasAny
+      actionCost: cost?.label ?? "",
+      actionProblem: cost?.problem ?? "",
+      isGroup,
+      isMultiple: outcomes.length > 1,
+      groupRuleLabel: game.i18n.localize(`MKC.GroupRule.${groupRule.capitalize()}`),
+      helpOnlyInCombat: isHelpOnlyInCombat() && (getSetting("groupRule") !== "help"),
+      rolls: sharedRolls && rolled.length ? describeRolls(rolled[0].results) : null,
+      helpers: helpers.map(h => h.actor.name).join(", "),
+      creatures: outcomes.map(({ creature, results, knowledge, skillPenalty, skillNotAllowed }) => ({
+        id: creature.monster.id,
+        name: creature.monster.name,
+        rolls: skillNotAllowed ? null : describeRolls(results),
+        skillNotAllowed,
+        skillPenalty: autopass && !isGroup ? 0 : skillPenalty,
+        tiers: knowledge.tiers,
+        questions: knowledge.questions,
+        alreadyKnown: knowledge.alreadyKnown.join(", "),
+        hasKnowledge: knowledge.hasAny,
+        naturalTwenty: knowledge.naturalTwenty
+      })),
+      hideTotal: visibility === "blind",
+      isSecret: visibility === "secret"
     };
 
     const content = await renderTemplate(templatePath, templateData);
@@ -680,113 +943,57 @@ export class MonsterKnowledgeDialog extends HandlebarsApplicationMixin(Applicati
     const messageData = {
       speaker: ChatMessage.getSpeaker({ actor: this.player }),
       content,
-      rolls: roll ? [roll] : [],
+      // Blind checks keep the dice off the card so only the GM's notes reveal the result
+      rolls: (visibility !== "blind") ? rolls : [],
+      whisper: this._getWhisperRecipients(visibility),
       type: CONST.CHAT_MESSAGE_STYLES.OTHER,
       flags: {
         [MODULE_ID]: {
-          monsterId: this.monster.id,
-          monsterName: this.monster.name,
+          creatures: outcomes.map(o => ({
+            monsterId: o.creature.monster.id,
+            monsterName: o.creature.monster.name,
+            // Players receive the card's flags, so which facts are false stays in the GM's notes
+            knowledge: getTrueKnowledge(o.knowledge),
+            tiers: o.unlockedTiers ? Object.keys(o.unlockedTiers).filter(tier => o.unlockedTiers[tier]) : null,
+            skillNotAllowed: !!o.skillNotAllowed
+          })),
+          characterId: this.player.id,
+          participantIds: participants.map(p => p.actor.id),
+          userId: game.user.id,
           skillUsed: skillId,
-          knowledge: knowledge
+          visibility
         }
       }
     };
 
-    await ChatMessage.create(messageData);
-  }
-}
-
-/* -------------------------------------------- */
-/*  Bestiary Functions (exported for main.mjs)  */
-/* -------------------------------------------- */
-
-/**
- * Add monster knowledge to the bestiary journal
- * @param {string} monsterId - The monster actor ID
- * @param {Object} knowledge - The knowledge data from the chat message
- */
-export async function addToBestiary(monsterId, knowledge) {
-  const monster = game.actors.get(monsterId);
-  if (!monster) {
-    ui.notifications.error(game.i18n.localize("MKC.Errors.MonsterNotFound"));
-    return;
-  }
-
-  const monsterName = monster.name;
-  const journalName = game.i18n.localize("MKC.Journal.BestiaryName");
-
-  // Build content from knowledge
-  const content = buildBestiaryContent(knowledge, monsterName);
-
-  // Find or create the bestiary journal
-  let bestiary = game.journal.find(j => j.name === journalName);
+    // Other modules may change the card before it is posted, or cancel it
+    if (Hooks.call(`${MODULE_ID}.preCreateKnowledgeCard`, this, messageData, outcomes) === false) return null;
 
-  if (!bestiary) {
-    bestiary = await JournalEntry.create({
-      name: journalName,
-      pages: [{
-        name: monsterName,
-        type: "text",
-        text: { content }
-      }]
-    });
-    ui.notifications.info(game.i18n.format("MKC.Journal.Created", { name: monsterName }));
-  } else {
-    const existingPage = bestiary.pages.find(p => p.name === monsterName);
-    
-    if (existingPage) {
-      // Merge content
-      const mergedContent = mergeBestiaryContent(existingPage.text.content, content);
-      await existingPage.update({ "text.content": mergedContent });
-      ui.notifications.info(game.i18n.format("MKC.Journal.Updated", { name: monsterName }));
+    // Players can always read the whispers they post, so the active GM posts a secret card for them
+    let messageId;
+    if (visibility === "secret") {
+      messageId = await requestFromGM("secretCard", messageData);
+      if (messageId && !game.user.isGM) ui.notifications.info(game.i18n.localize("MKC.Chat.SecretSent"));
     } else {
-      await bestiary.createEmbeddedDocuments("JournalEntryPage", [{
-        name: monsterName,
-        type: "text",
-        text: { content }
-      }]);
-      ui.notifications.info(game.i18n.format("MKC.Journal.PageAdded", { name: monsterName }));
+      messageId = (await ChatMessage.create(messageData))?.id;
     }
-  }
-}
 
-/**
- * Build HTML content for bestiary entry
- */
-function buildBestiaryContent(knowledge, monsterName) {
-  const timestamp = new Date().toLocaleDateString();
-  let content = `<p><em>${game.i18n.format("MKC.Journal.LastUpdated", { date: timestamp })}</em></p><hr>`;
-
-  for (const tier of knowledge.tiers) {
-    content += `<h3>${tier.label}</h3>`;
-    
-    for (const info of tier.info) {
-      if (info.subItems) {
-        content += `<p><strong>${info.label}:</strong></p><ul>`;
-        for (const sub of info.subItems) {
-          content += `<li><strong>${sub.label}:</strong> ${sub.items.join(", ")}</li>`;
-        }
-        content += `</ul>`;
-      } else if (info.items) {
-        if (info.items.length) {
-          content += `<p><strong>${info.label}:</strong> ${info.items.join(", ")}</p>`;
-        } else {
-          content += `<p><strong>${info.label}:</strong> <em>${info.emptyText || "None"}</em></p>`;
-        }
-      } else {
-        content += `<p><strong>${info.label}:</strong> ${info.value}${info.formula ? ` (${info.formula})` : ""}</p>`;
+    // The totals of a blind check and which facts are false are never part of the card,
+    // but go to the GM in notes of their own
+    const falseLore = outcomes
+      .map(o => ({ name: o.creature.monster.name, facts: o.knowledge.tiers.flatMap(tier => tier.info).filter(info => info.isFalse) }))
+      .filter(o => o.facts.length);
+    if (messageId && ((visibility === "blind") || falseLore.length)) {
+      const totals = results => describeRolls(results).participants.filter(p => !p.isAutopass);
+      let rolls = [];
+      if (visibility === "blind") {
+        rolls = sharedRolls
+          ? [{ name: "", participants: totals(rolled[0]?.results ?? []) }]
+          : rolled.map(o => ({ name: o.creature.monster.name, participants: totals(o.results) }));
       }
+      requestFromGM("gmNotes", { characterName: this.player.name, monsterNames: templateData.monsterNames, rolls, falseLore });
     }
-  }
-
-  return content;
-}
 
-/**
- * Merge new content with existing bestiary content
- */
-function mergeBestiaryContent(existingContent, newContent) {
-  // Simple approach: replace with new content (which should include all accumulated knowledge)
-  // The knowledge object from chat flags should already contain merged data
-  return newContent;
+    return messageId ?? null;
+  }
 }
@@ -0,0 +1,176 @@
+/**
+ * Per-Character Knowledge Memory
+ * Records the tiers each character has unlocked for each creature in the character's flags
+ */
+
+import { getTiers } from "./settings.mjs";
+import { hasAttempts, resetAttempts } from "./attempts.mjs";
+import { getCreatureKey } from "./bestiary.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Get the key a creature is remembered by
+ * The same creature as the bestiary records, with the dots of its UUID replaced so it can be a flag key
+ * @param {Actor5e} monster
+ * @returns {string}
+ */
+function getMemoryKey(monster) {
+  return getCreatureKey(monster).replaceAll(".", ":");
+}
+
+/**
+ * Get the tiers a character already knows about a monster
+ * Memory recorded before creatures were keyed like the bestiary is still found by the actor's ID
+ * @param {Actor5e} character
+ * @param {Actor5e} monster
+ * @returns {string[]}
+ */
+export function getKnownTiers(character, monster) {
+  const memory = character?.getFlag(MODULE_ID, "memory") ?? {};
+  return (memory[getMemoryKey(monster)] ?? memory[monster.id])?.tiers ?? [];
+}
+
+/**
+ * Record newly unlocked tiers in a character's memory, keeping everything already known
+ * @param {Actor5e} character
+ * @param {Actor5e} monster
+ * @param {string[]} tiers - The tiers unlocked by the latest check
+ */
+export async function recordKnownTiers(character, monster, tiers) {
+  const known = new Set(getKnownTiers(character, monster));
+  const before = known.size;
+  for (const tier of tiers) known.add(tier);
+  if (known.size === before) return;
+
+  // Kept in tier order, so the last tier is the highest known
+  const order = getTiers().map(tier => tier.id);
+  const rank = tier => (order.includes(tier) ? order.indexOf(tier) : -1);
+
+  const key = getMemoryKey(monster);
+  const legacy = (key !== monster.id) && foundry.utils.hasProperty(character, `flags.${MODULE_ID}.memory.${monster.id}`);
+  await character.update({
+    [`flags.${MODULE_ID}.memory.${key}`]: {
+      name: monster.name,
+      tiers: [...known].sort((a, b) => rank(a) - rank(b)),
+      updated: Date.now()
+    },
+    ...(legacy ? { [`flags.${MODULE_ID}.memory.-=${monster.id}`]: null } : {})
+  });
+}
+
+/**
+ * Forget what a character knows about one creature, or about every creature
+ * @param {Actor5e} character
+ * @param {string} [key] - The creature's key in the character's memory, omit to reset the whole memory
+ */
+export async function resetKnowledge(character, key) {
+  if (key) {
+    await character.update({ [`flags.${MODULE_ID}.memory.-=${key}`]: null });
+  } else {
+    await character.unsetFlag(MODULE_ID, "memory");
+  }
+}
+
+/* -------------------------------------------- */
+/*  Knowledge Memory Viewer                     */
+/* -------------------------------------------- */
+
+/**
+ * GM window for viewing and resetting what each character knows
+ */
+export class KnowledgeMemoryViewer extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "mkc-knowledge-memory",
+    classes: ["dnd5e2", "mkc-knowledge-memory"],
+    window: {
+      title: "MKC.Memory.Title",
+      icon: "fas fa-brain",
+      contentClasses: ["standard-form"],
+      resizable: true
+    },
+    position: {
+      width: 500,
+      height: "auto"
+    },
+    actions: {
+      resetEntry: KnowledgeMemoryViewer.#onResetEntry,
+      resetCharacter: KnowledgeMemoryViewer.#onResetCharacter,
+      resetAttempts: KnowledgeMemoryViewer.#onResetAttempts
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE_ID}/templates/knowledge-memory.hbs`,
+      scrollable: [""]
+    }
+  };
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    // Tiers that have since been removed aren't shown
+    const tiers = getTiers();
+    const highestTier = known => tiers.findLast(tier => known.includes(tier.id));
+
+    context.characters = game.actors
+      .filter(a => a.type === "character")
+      .map(character => {
+        const memory = character.getFlag(MODULE_ID, "memory") ?? {};
+        const entries = Object.entries(memory).map(([key, entry]) => ({
+          key,
+          name: entry.name,
+          highestTier: game.i18n.localize(highestTier(entry.tiers ?? [])?.name ?? "—"),
+          updated: entry.updated ? new Date(entry.updated).toLocaleDateString() : ""
+        }));
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        return { id: character.id, name: character.name, entries, hasAttempts: hasAttempts(character) };
+      });
+
+    return context;
+  }
+
+  /**
+   * Forget one creature for one character
+   * @this {KnowledgeMemoryViewer}
+   */
+  static async #onResetEntry(event, target) {
+    const character = game.actors.get(target.closest("[data-character-id]").dataset.characterId);
+    if (!character) return;
+    await resetKnowledge(character, target.dataset.key);
+    this.render();
+  }
+
+  /**
+   * Forget every creature for one character
+   * @this {KnowledgeMemoryViewer}
+   */
+  static async #onResetCharacter(event, target) {
+    const character = game.actors.get(target.closest("[data-character-id]").dataset.characterId);
+    if (!character) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "MKC.Memory.ResetAll" },
+      content: `<p>${game.i18n.format("MKC.Memory.ResetAllConfirm", { name: character.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    await resetKnowledge(character);
+    this.render();
+  }
+
+  /**
+   * Let one character try to recall every creature again
+   * @this {KnowledgeMemoryViewer}
+   */
+  static async #onResetAttempts(event, target) {
+    const character = game.actors.get(target.closest("[data-character-id]").dataset.characterId);
+    if (!character) return;
+    await resetAttempts(character);
+    ui.notifications.info(game.i18n.format("MKC.Attempts.Reset", { name: character.name }));
+    this.render();
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Custom Lore
+ * GM-written lore snippets, each revealed at a tier, stored on NPC actors (or their compendium source)
+ * and in a world library keyed by creature type or subtype
+ */
+
+import { getSetting, getTiers } from "./settings.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Get the lore written for a creature itself, falling back to the lore on its compendium source
+ * @param {Actor5e} actor
+ * @returns {{id: string, title: string, tier: string, text: string}[]}
+ */
+export function getOwnLore(actor) {
+  const own = actor.getFlag(MODULE_ID, "lore");
+  if (own?.length) return own;
+
+  // Compendium indexes include the lore flag, so the source doesn't need to be loaded
+  const sourceUuid = actor._stats?.compendiumSource || actor.flags?.core?.sourceId;
+  const source = sourceUuid ? fromUuidSync(sourceUuid, { strict: false }) : null;
+  return foundry.utils.getProperty(source ?? {}, `flags.${MODULE_ID}.lore`) ?? [];
+}
+
+/**
+ * Get the world library lore for a creature's type and subtypes
+ * @param {Actor5e} actor
+ * @returns {{id: string, key: string, title: string, tier: string, text: string}[]}
+ */
+export function getLibraryLore(actor) {
+  const type = actor.system.details.type ?? {};
+  const keys = [type.value, ...(type.subtype?.split(",") ?? [])]
+    .filter(Boolean)
+    .map(key => key.trim().toLowerCase());
+  const library = getSetting("loreLibrary") ?? [];
+  return library.filter(entry => keys.includes(entry.key?.trim().toLowerCase()));
+}
+
+/**
+ * Get the lore that can be revealed about a creature
+ * The library only supplies lore for creatures that have none of their own
+ * @param {Actor5e} actor
+ * @returns {Object[]}
+ */
+export function getMonsterLore(actor) {
+  const own = getOwnLore(actor);
+  return own.length ? own : getLibraryLore(actor);
+}
+
+/**
+ * Prepare lore entries for an editing form
+ * @param {Object[]} entries
+ * @returns {Object[]} The entries with the tier choices for each
+ */
+export function prepareLoreEntries(entries) {
+  const tiers = getTiers();
+  return entries.map(entry => ({
+    ...entry,
+    tiers: tiers.map(tier => ({
+      value: tier.id,
+      label: game.i18n.localize(tier.name),
+      selected: tier.id === entry.tier
+    }))
+  }));
+}
+
+/**
+ * Read lore entries back out of submitted form data
+ * @param {Object} data - Expanded form data, with the entries under "lore"
+ * @returns {Object[]}
+ */
+export function readLoreEntries(data) {
+  return Object.values(data.lore ?? {}).map(entry => ({
+    id: entry.id || foundry.utils.randomID(),
+    ...("key" in entry ? { key: entry.key.trim() } : {}),
+    title: entry.title?.trim() ?? "",
+    tier: entry.tier || getTiers()[0]?.id,
+    text: entry.text ?? ""
+  }));
+}
+
+/* -------------------------------------------- */
+/*  Lore Library Menu                           */
+/* -------------------------------------------- */
+
+/**
+ * Settings menu for the world lore library
+ */
+export class LoreLibraryMenu extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "mkc-lore-library",
+    classes: ["dnd5e2", "mkc-lore-library"],
+    tag: "form",
+    window: {
+      title: "MKC.Lore.LibraryTitle",
+      icon: "fas fa-scroll",
+      contentClasses: ["standard-form"],
+      resizable: true
+    },
+    position: {
+      width: 640,
+      height: 700
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: true
+    },
+    actions: {
+      addEntry: LoreLibraryMenu.#onAddEntry,
+      removeEntry: LoreLibraryMenu.#onRemoveEntry
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/lore-library.hbs`,
+      scrollable: [""]
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs"
+    }
+  };
+
+  /**
+   * The entries being edited, kept between renders so adding and removing entries doesn't lose changes
+   * @type {Object[]|null}
+   */
+  entries = null;
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    this.entries ??= foundry.utils.deepClone(getSetting("loreLibrary") ?? []);
+    context.entries = prepareLoreEntries(this.entries);
+    context.creatureTypes = Object.entries(CONFIG.DND5E.creatureTypes).map(([type, config]) => ({
+      id: type,
+      label: game.i18n.localize(config.label ?? type)
+    }));
+
+    return context;
+  }
+
+  async _preparePartContext(partId, context, options) {
+    context = await super._preparePartContext(partId, context, options);
+
+    if (partId === "footer") {
+      context.buttons = [
+        {
+          type: "submit",
+          icon: "fas fa-save",
+          label: game.i18n.localize("Save")
+        }
+      ];
+    }
+
+    return context;
+  }
+
+  /**
+   * Read the entries currently in the form
+   * @returns {Object[]}
+   */
+  _readEntries() {
+    const data = foundry.utils.expandObject(new FormDataExtended(this.element).object);
+    return readLoreEntries(data);
+  }
+
+  /**
+   * Add an empty entry
+   * @this {LoreLibraryMenu}
+   */
+  static #onAddEntry(event, target) {
+    this.entries = [...this._readEntries(), { id: foundry.utils.randomID(), key: "", title: "", tier: getTiers()[0]?.id, text: "" }];
+    this.render();
+  }
+
+  /**
+   * Remove an entry
+   * @this {LoreLibraryMenu}
+   */
+  static #onRemoveEntry(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    this.entries = this._readEntries().filter((entry, i) => i !== index);
+    this.render();
+  }
+
+  async _onSubmitForm(formConfig, event) {
+    event.preventDefault();
+
+    // Entries without a creature type or any text can't be revealed
+    const entries = this._readEntries().filter(entry => entry.key && entry.text);
+    await game.settings.set(MODULE_ID, "loreLibrary", entries);
+    ui.notifications.info(game.i18n.localize("MKC.Lore.Saved"));
+  }
+}
@@ -3,8 +3,18 @@
  * Adds a token control button for players to make knowledge checks about monsters
  */
 
-import { registerSettings } from "./settings.mjs";
-import { MonsterKnowledgeDialog, addToBestiary } from "./knowledge-check-dialog.mjs";
+import { registerSettings, migrateTierSettings } from "./settings.mjs";
+import { MonsterKnowledgeDialog, getAvailableCharacters, recordCheckResults, postGMNotes, postSecretCard } from "./knowledge-check-dialog.mjs";
+import { addToBestiary, queueBestiaryEntry } from "./bestiary.mjs";
+import { BestiaryBrowser } from "./bestiary-browser.mjs";
+import { showTokenKnowledge, hideTokenKnowledge, drawKnowledgeIndicator, refreshKnowledgeIndicators } from "./token-knowledge.mjs";
+import { MonsterKnowledgeConfig, getMonsterOverrides } from "./monster-config.mjs";
+import { registerSocket, registerSocketHandler } from "./socket.mjs";
+import { promptApproval } from "./approval.mjs";
+import { recordKnownTiers } from "./knowledge-memory.mjs";
+import { recordAttempts, onRestCompleted } from "./attempts.mjs";
+import { spendAction } from "./combat.mjs";
+import { getAPI } from "./api.mjs";
 
 const MODULE_ID = "momos-guide-to-monsters";
 
@@ -15,12 +25,92 @@ const MODULE_ID = "momos-guide-to-monsters";
 Hooks.once("init", () => {
   console.log(`${MODULE_ID} | Initializing Momo's Guide to Monsters`);
   registerSettings();
+
+  // Lets lore written on a compendium actor be read without loading the actor
+  CONFIG.Actor.compendiumIndexFields.push(`flags.${MODULE_ID}.lore`);
+
+  // For macros and other modules
+  game.modules.get(MODULE_ID).api = getAPI();
 });
 
-Hooks.once("ready", () => {
+Hooks.once("ready", async () => {
+  // Worlds from before tiers were configurable keep their DCs and info
+  if (game.users.activeGM?.isSelf) await migrateTierSettings();
+
+  // Request/response channel between players and the active GM
+  registerSocket();
+  registerSocketHandler("approval", promptApproval);
+  registerSocketHandler("gmNotes", postGMNotes);
+  registerSocketHandler("secretCard", postSecretCard);
+  registerSocketHandler("recordKnowledge", async ({ characterId, monsterId, tiers, messageId }, user) => {
+    const character = game.actors.get(characterId);
+    const monster = game.actors.get(monsterId);
+    if (!monster || !mayActFor(user, character, messageId)) return;
+    await recordKnownTiers(character, monster, tiers);
+  });
+  registerSocketHandler("recordAttempts", async ({ characterId, monsterIds, sceneId, messageId }, user) => {
+    const character = game.actors.get(characterId);
+    if (!Array.isArray(monsterIds) || !mayActFor(user, character, messageId)) return;
+    await recordAttempts(character, monsterIds, sceneId);
+  });
+  registerSocketHandler("spendAction", async ({ combatId, combatantId, type, messageId }, user) => {
+    const combatant = game.combats.get(combatId)?.combatants.get(combatantId);
+    if (!combatant || !user || !["action", "bonus"].includes(type)) return;
+    if (!combatant.testUserPermission(user, "OWNER") && !mayActFor(user, combatant.actor, messageId)) return;
+    await spendAction(combatant, type);
+  });
+  registerSocketHandler("addToBestiary", ({ monsterId, knowledge, revealedBy, revealedAt, characterIds = [], messageId }, user) => {
+    if (!mayActForAll(user, characterIds, messageId)) return;
+    return addToBestiary(monsterId, knowledge, { revealedBy, revealedAt, characterIds });
+  });
+  registerSocketHandler("queueBestiaryEntry", (entry, user) => {
+    if (!mayActForAll(user, entry.characterIds ?? [], entry.messageId)) return;
+    return queueBestiaryEntry(entry);
+  });
+
   console.log(`${MODULE_ID} | Momo's Guide to Monsters ready`);
 });
 
+/**
+ * May a user ask the GM to change a character?
+ * Players may change the characters they own, and the other characters in a group check they made
+ * @param {User} user - The user who sent the request
+ * @param {Actor5e} [actor]
+ * @param {string} [messageId] - The chat card of the check the request comes from
+ * @returns {boolean}
+ */
+function mayActFor(user, actor, messageId) {
+  if (!user || !actor) return false;
+  if (actor.testUserPermission(user, "OWNER")) return true;
+
+  // The active GM posts secret cards for the player who made the check
+  const message = game.messages.get(messageId);
+  const flags = message?.flags[MODULE_ID];
+  const checkedBy = message?.author?.isGM ? game.users.get(flags?.userId) : message?.author;
+  if (!flags || (checkedBy !== user)) return false;
+  const lead = game.actors.get(flags.characterId);
+  return !!lead?.testUserPermission(user, "OWNER") && (flags.participantIds ?? []).includes(actor.id);
+}
+
+/**
+ * May a user ask the GM to record knowledge for every one of a list of characters?
+ * @param {User} user - The user who sent the request
+ * @param {string[]} characterIds
+ * @param {string} [messageId] - The chat card of the check the request comes from
+ * @returns {boolean}
+ */
+function mayActForAll(user, characterIds, messageId) {
+  // Players always record for a character, so they can't write into the party bestiary alone
+  if (!Array.isArray(characterIds) || (!characterIds.length && !user?.isGM)) return false;
+  return characterIds.every(id => mayActFor(user, game.actors.get(id), messageId));
+}
+
+/* -------------------------------------------- */
+/*  Attempt Limits                              */
+/* -------------------------------------------- */
+
+Hooks.on("dnd5e.restCompleted", (actor, result) => onRestCompleted(actor, result));
+
 /* -------------------------------------------- */
 /*  Token Controls                              */
 /* -------------------------------------------- */
@@ -41,6 +131,80 @@ Hooks.on("getSceneControlButtons", (controls) => {
     visible: true,
     onChange: () => onMonsterKnowledgeClick()
   };
+
+  tokenControls.tools.bestiaryBrowser = {
+    name: "bestiaryBrowser",
+    title: "MKC.TokenControl.Bestiary",
+    icon: "fas fa-book-open-reader",
+    order: Object.keys(tokenControls.tools).length,
+    button: true,
+    visible: true,
+    onChange: () => BestiaryBrowser.open()
+  };
+});
+
+/* -------------------------------------------- */
+/*  Journal Directory Button                    */
+/* -------------------------------------------- */
+
+Hooks.on("renderJournalDirectory", (app, html) => {
+  const actions = html.querySelector(".header-actions");
+  if (!actions || actions.querySelector(".mkc-open-bestiary")) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("mkc-open-bestiary");
+  button.innerHTML = `<i class="fas fa-book-open-reader"></i> ${game.i18n.localize("MKC.Browser.Open")}`;
+  button.addEventListener("click", () => BestiaryBrowser.open());
+  actions.append(button);
+});
+
+/* -------------------------------------------- */
+/*  Token Knowledge                             */
+/* -------------------------------------------- */
+
+Hooks.on("hoverToken", (token, hovered) => {
+  if (hovered) showTokenKnowledge(token);
+  else hideTokenKnowledge();
+});
+
+Hooks.on("canvasPan", () => hideTokenKnowledge());
+Hooks.on("deleteToken", () => hideTokenKnowledge());
+Hooks.on("drawToken", (token) => drawKnowledgeIndicator(token));
+
+// Indicators follow the bestiary, who may read it, and what characters remember
+for (const hook of ["createJournalEntryPage", "updateJournalEntryPage", "deleteJournalEntryPage"]) {
+  Hooks.on(hook, (page) => {
+    if (page.getFlag(MODULE_ID, "creatureKey")) refreshKnowledgeIndicators();
+  });
+}
+
+Hooks.on("updateJournalEntry", (journal, changes) => {
+  if (journal.getFlag(MODULE_ID, "bestiary") && ("ownership" in changes)) refreshKnowledgeIndicators();
+});
+
+Hooks.on("updateActor", (actor, changes) => {
+  if ((actor.type === "character") && foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) refreshKnowledgeIndicators();
+});
+
+Hooks.on("updateSetting", (setting) => {
+  if (setting.key === `${MODULE_ID}.tiers`) refreshKnowledgeIndicators();
+});
+
+/* -------------------------------------------- */
+/*  NPC Sheet Header Button                     */
+/* -------------------------------------------- */
+
+Hooks.on("getHeaderControlsActorSheetV2", (app, controls) => {
+  const actor = app.document;
+  if (!game.user.isGM || (actor?.type !== "npc")) return;
+
+  controls.push({
+    icon: "fas fa-book-skull",
+    label: "MKC.MonsterConfig.HeaderButton",
+    action: "mkcKnowledgeConfig",
+    onClick: () => new MonsterKnowledgeConfig({ document: actor }).render({ force: true })
+  });
 });
 
 /* -------------------------------------------- */
@@ -52,14 +216,45 @@ Hooks.on("renderChatMessage", (message, html, data) => {
   const flags = message.flags[MODULE_ID];
   if (!flags) return;
   
-  // Find the bestiary button container
-  const container = html.find ? html.find(".mkc-bestiary-button-container") : html.querySelector(".mkc-bestiary-button-container");
-  const containerEl = container?.jquery ? container[0] : container;
-  
-  if (!containerEl) return;
+  const element = html.jquery ? html[0] : html;
   
-  // Only show the button for GMs
+  // Reveal GM-only parts of the card, such as spell links players may not see, and leave them out of players' pages
   if (game.user.isGM) {
+    for (const el of element.querySelectorAll(".mkc-gm-only")) el.style.display = "";
+    for (const el of element.querySelectorAll(".mkc-player-only")) el.remove();
+    
+    // Secret checks stay hidden from the player, and unrecorded, until the GM reveals them
+    const revealBtn = element.querySelector(".mkc-reveal-result");
+    if (revealBtn && !flags.revealed) {
+      revealBtn.addEventListener("click", async (event) => {
+        event.preventDefault();
+        const gmIds = ChatMessage.getWhisperRecipients("GM").map(u => u.id);
+        await message.update({
+          whisper: [...new Set([...gmIds, flags.userId])],
+          [`flags.${MODULE_ID}.revealed`]: true
+        });
+        await recordCheckResults(message);
+      });
+    } else if (revealBtn) {
+      revealBtn.closest(".mkc-secret-container").remove();
+    }
+  } else {
+    for (const el of element.querySelectorAll(".mkc-gm-only")) el.remove();
+  }
+  
+  // Only show the bestiary buttons for GMs
+  if (!game.user.isGM) return;
+
+  // Each creature on the card has its own button; older cards recorded a single creature
+  const creatures = flags.creatures ?? [{ monsterId: flags.monsterId, knowledge: flags.knowledge }];
+  for (const containerEl of element.querySelectorAll(".mkc-bestiary-button-container")) {
+    const creature = creatures.find(c => c.monsterId === containerEl.dataset.monsterId) ?? creatures[0];
+
+    // The card's flags only keep true facts, so a check that only produced false lore has nothing to add
+    if (creature?.knowledge && !creature.knowledge.hasAny) {
+      containerEl.remove();
+      continue;
+    }
     containerEl.style.display = "";
     
     // Find and setup the button
@@ -68,12 +263,16 @@ Hooks.on("renderChatMessage", (message, html, data) => {
       btn.addEventListener("click", async (event) => {
         event.preventDefault();
         
-        if (!flags.knowledge) {
+        if (!creature?.knowledge) {
           ui.notifications.error(game.i18n.localize("MKC.Errors.NoKnowledgeData"));
           return;
         }
         
-        await addToBestiary(flags.monsterId, flags.knowledge);
+        await addToBestiary(creature.monsterId, creature.knowledge, {
+          revealedBy: game.actors.get(flags.characterId)?.name ?? message.speaker.alias,
+          revealedAt: message.timestamp,
+          characterIds: [flags.characterId, ...(flags.participantIds ?? [])]
+        });
       });
     }
   }
@@ -91,23 +290,22 @@ async function onMonsterKnowledgeClick() {
     return;
   }
   
-  if (targets.size > 1) {
-    ui.notifications.warn(game.i18n.localize("MKC.Warnings.MultipleTokensTargeted"));
-    return;
-  }
-
-  const token = targets.first();
-  const actor = token.actor;
-
-  if (!actor) {
-    ui.notifications.warn(game.i18n.localize("MKC.Warnings.NoActorOnToken"));
-    return;
+  // Tokens of the same creature share a base actor ID, so each creature is only checked once
+  const monsters = new Map();
+  let warning = null;
+  for (const token of targets) {
+    const actor = token.actor;
+    if (!actor) warning ??= "MKC.Warnings.NoActorOnToken";
+    else if (actor.type !== "npc") warning ??= "MKC.Warnings.NotAnNPC";
+    else if (getMonsterOverrides(actor).unknowable) warning ??= "MKC.Warnings.Unknowable";
+    else if (!monsters.has(actor.id)) monsters.set(actor.id, actor);
   }
 
-  if (actor.type !== "npc") {
-    ui.notifications.warn(game.i18n.localize("MKC.Warnings.NotAnNPC"));
+  if (!monsters.size) {
+    ui.notifications.warn(game.i18n.localize(warning));
     return;
   }
+  if (warning) ui.notifications.warn(game.i18n.localize("MKC.Warnings.TargetsSkipped"));
 
   // Get all available player characters
   const availableCharacters = getAvailableCharacters();
@@ -120,33 +318,13 @@ async function onMonsterKnowledgeClick() {
   const defaultCharacter = game.user.character || availableCharacters[0];
 
   const dialog = new MonsterKnowledgeDialog({
-    monster: actor,
+    monsters: [...monsters.values()],
     availableCharacters: availableCharacters,
     defaultCharacterId: defaultCharacter.id
   });
   dialog.render({ force: true });
 }
 
-/* -------------------------------------------- */
-/*  Helper Functions                            */
-/* -------------------------------------------- */
-
-/**
- * Get all player characters available to the current user
- * For GMs, this returns all player characters
- * For players, this returns characters they own
- * @returns {Actor5e[]}
- */
-function getAvailableCharacters() {
-  if (game.user.isGM) {
-    // GMs can use any player character
-    return game.actors.filter(a => a.type === "character");
-  } else {
-    // Players can only use characters they own
-    return game.actors.filter(a => a.type === "character" && a.isOwner);
-  }
-}
-
 /* -------------------------------------------- */
 /*  Exports                                     */
 /* -------------------------------------------- */
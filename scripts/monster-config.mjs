@@ -0,0 +1,212 @@
+/**
+ * Per-Monster Knowledge Overrides
+ * Stores DC offsets, per-tier info overrides, custom lore and an "unknowable" toggle on individual NPC actors
+ */
+
+import { getTiers, INFO_TYPES, FEATURE_ITEM_TYPES } from "./settings.mjs";
+import { prepareLoreEntries, readLoreEntries } from "./lore.mjs";
+
+const { HandlebarsApplicationMixin, DocumentSheetV2 } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Get the knowledge overrides stored on a monster actor
+ * @param {Actor5e} actor
+ * @returns {{unknowable: boolean, dcOffset: number, tiers: Object<string, {override: boolean, info: string[]}>, excludedItems: string[]}}
+ */
+export function getMonsterOverrides(actor) {
+  const flags = actor?.getFlag(MODULE_ID, "overrides") ?? {};
+  return {
+    unknowable: !!flags.unknowable,
+    dcOffset: Number(flags.dcOffset) || 0,
+    tiers: flags.tiers ?? {},
+    excludedItems: flags.excludedItems ?? []
+  };
+}
+
+/**
+ * Apply a monster's overrides on top of the world-level tier configuration
+ * @param {Object} tierConfig - The result of getAllTierConfig()
+ * @param {Object} overrides - The result of getMonsterOverrides()
+ * @returns {Object} A new tier configuration
+ */
+export function applyMonsterOverrides(tierConfig, overrides) {
+  const result = {};
+
+  for (const [tier, config] of Object.entries(tierConfig)) {
+    const tierOverride = overrides.tiers[tier];
+    result[tier] = {
+      dc: config.dc + overrides.dcOffset,
+      info: tierOverride?.override ? [...(tierOverride.info ?? [])] : config.info
+    };
+  }
+
+  return result;
+}
+
+/* -------------------------------------------- */
+/*  Monster Knowledge Config                    */
+/* -------------------------------------------- */
+
+/**
+ * Sheet for editing the knowledge overrides of a single NPC actor
+ * @extends DocumentSheetV2
+ */
+export class MonsterKnowledgeConfig extends HandlebarsApplicationMixin(DocumentSheetV2) {
+  static DEFAULT_OPTIONS = {
+    classes: ["dnd5e2", "mkc-monster-config"],
+    sheetConfig: false,
+    window: {
+      icon: "fas fa-book-skull",
+      contentClasses: ["standard-form"],
+      resizable: true
+    },
+    position: {
+      width: 600,
+      height: "auto"
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: true
+    },
+    actions: {
+      addLore: MonsterKnowledgeConfig.#onAddLore,
+      removeLore: MonsterKnowledgeConfig.#onRemoveLore
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/monster-config.hbs`,
+      scrollable: [""]
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs"
+    }
+  };
+
+  /** @override */
+  get title() {
+    return game.i18n.format("MKC.MonsterConfig.Title", { name: this.document.name });
+  }
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const overrides = getMonsterOverrides(this.document);
+
+    context.unknowable = overrides.unknowable;
+    context.dcOffset = overrides.dcOffset;
+    context.tiers = getTiers().map(tier => {
+      const tierOverride = overrides.tiers[tier.id];
+      const currentInfo = tierOverride?.override ? (tierOverride.info ?? []) : tier.info;
+      return {
+        id: tier.id,
+        label: game.i18n.localize(tier.name),
+        override: !!tierOverride?.override,
+        infoTypes: Object.entries(INFO_TYPES).map(([key, labelKey]) => ({
+          key,
+          label: game.i18n.localize(labelKey),
+          checked: currentInfo.includes(key)
+        }))
+      };
+    });
+
+    // Lore written for this creature
+    const lore = this.document.getFlag(MODULE_ID, "lore") ?? [];
+    context.lore = prepareLoreEntries(lore);
+    context.loreFromSource = !lore.length && !!(this.document._stats?.compendiumSource || this.document.flags?.core?.sourceId);
+
+    // Features that can be hidden from every check
+    context.items = this.document.items
+      .filter(item => [...FEATURE_ITEM_TYPES, "spell"].includes(item.type))
+      .map(item => ({ id: item.id, name: item.name, excluded: overrides.excludedItems.includes(item.id) }));
+
+    return context;
+  }
+
+  async _preparePartContext(partId, context, options) {
+    context = await super._preparePartContext(partId, context, options);
+
+    if (partId === "footer") {
+      context.buttons = [
+        {
+          type: "submit",
+          icon: "fas fa-save",
+          label: game.i18n.localize("Save")
+        }
+      ];
+    }
+
+    return context;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    // Only allow editing the info of tiers that are overridden
+    for (const toggle of this.element.querySelectorAll(".mkc-override-toggle")) {
+      const grid = toggle.closest("fieldset").querySelector(".mkc-info-grid");
+      const update = () => {
+        for (const input of grid.querySelectorAll("input")) input.disabled = !toggle.checked;
+      };
+      toggle.addEventListener("change", update);
+      update();
+    }
+  }
+
+  /**
+   * Save the form with an empty lore entry added, so it can be written in place
+   * @this {MonsterKnowledgeConfig}
+   */
+  static async #onAddLore(event, target) {
+    const submitData = this._prepareSubmitData(event, this.element, new FormDataExtended(this.element));
+    submitData.flags[MODULE_ID].lore.push({ id: foundry.utils.randomID(), title: "", tier: getTiers()[0].id, text: "" });
+    await this.document.update(submitData);
+  }
+
+  /**
+   * Save the form with a lore entry removed
+   * @this {MonsterKnowledgeConfig}
+   */
+  static async #onRemoveLore(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    const submitData = this._prepareSubmitData(event, this.element, new FormDataExtended(this.element));
+    submitData.flags[MODULE_ID].lore.splice(index, 1);
+    await this.document.update(submitData);
+  }
+
+  /** @override */
+  _prepareSubmitData(event, form, formData) {
+    const data = formData.object;
+
+    const tiers = {};
+    for (const { id: tier } of getTiers()) {
+      tiers[tier] = {
+        override: !!data[`${tier}-override`],
+        info: Object.keys(INFO_TYPES).filter(infoKey => data[`${tier}-${infoKey}`])
+      };
+    }
+
+    // Updates merge into the stored overrides, so those of tiers that have since been removed are deleted
+    const stored = this.document.getFlag(MODULE_ID, "overrides")?.tiers ?? {};
+    for (const tier of Object.keys(stored)) {
+      if (!(tier in tiers)) tiers[`-=${tier}`] = null;
+    }
+
+    return {
+      flags: {
+        [MODULE_ID]: {
+          overrides: {
+            unknowable: !!data.unknowable,
+            dcOffset: parseInt(data.dcOffset) || 0,
+            tiers,
+            excludedItems: this.document.items.filter(item => data[`exclude-${item.id}`]).map(item => item.id)
+          },
+          lore: readLoreEntries(foundry.utils.expandObject(data))
+        }
+      }
+    };
+  }
+}
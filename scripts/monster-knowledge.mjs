@@ -0,0 +1,1009 @@
+/**
+ * Monster Knowledge
+ * Works out what a knowledge check can reveal about one creature: its tier DCs, recommended skills and the info each tier holds
+ */
+
+import { getSetting, getTiers, getAllTierConfig, getRecommendedSkills, INFO_TYPES, FEATURE_ITEM_TYPES } from "./settings.mjs";
+import { getMonsterOverrides, applyMonsterOverrides } from "./monster-config.mjs";
+import { getMonsterLore } from "./lore.mjs";
+
+/**
+ * Get the display label, icon and level of each tier, in tier order
+ * @returns {Object<string, {label: string, icon: string, level: number}>}
+ */
+export function getTierLabels() {
+  return Object.fromEntries(getTiers().map((tier, index) => [tier.id, {
+    label: game.i18n.localize(tier.name),
+    icon: tier.icon,
+    level: index + 1
+  }]));
+}
+
+/**
+ * Get the question a player asks to learn an info type
+ * @param {string} infoType
+ * @returns {string}
+ */
+export function getQuestionText(infoType) {
+  const key = `MKC.Question.${infoType}`;
+  return game.i18n.has(key) ? game.i18n.localize(key) : game.i18n.localize(INFO_TYPES[infoType]);
+}
+
+/**
+ * Enrich the lore in revealed knowledge, so the links, rolls and other enrichers written in it work on the card and in the bestiary
+ * @param {Object} knowledge - Changed in place
+ * @param {Actor5e} monster - The creature the lore is written on, which relative links resolve against
+ */
+export async function enrichLore(knowledge, monster) {
+  const { TextEditor } = foundry.applications.ux;
+  for (const fact of knowledge.tiers.flatMap(tier => tier.info)) {
+    if (fact.isLore) fact.html = await TextEditor.implementation.enrichHTML(fact.html, { relativeTo: monster });
+  }
+}
+
+/* -------------------------------------------- */
+/*  Item Helpers                                */
+/* -------------------------------------------- */
+
+/**
+ * Get how an item's activities are activated, ignoring activities with no activation
+ * @param {Item5e} item
+ * @returns {Set<string>}
+ */
+function getActivationTypes(item) {
+  const types = new Set();
+  for (const activity of item.system.activities ?? []) {
+    const type = activity.activation?.type;
+    if (type && (type !== "none")) types.add(type);
+  }
+  return types;
+}
+
+/**
+ * Get the recharge range of an item that recovers its uses on a recharge roll
+ * @param {Item5e} item
+ * @returns {string|null} Such as "5–6", or null if the item doesn't recharge
+ */
+function getRecharge(item) {
+  const recovery = item.system.uses?.recovery?.find(r => r.period === "recharge");
+  if (!recovery) return null;
+  const min = Number(recovery.formula) || 6;
+  return (min < 6) ? `${min}–6` : "6";
+}
+
+/**
+ * Describe an item's attack by its attack type and damage types
+ * @param {Item5e} item
+ * @returns {string}
+ */
+function formatAttack(item) {
+  const activity = item.system.activities?.find(a => a.type === "attack");
+  const attackType = CONFIG.DND5E.attackTypes?.[activity?.attack?.type?.value]?.label;
+  const damageTypes = new Set([
+    ...(item.system.damage?.base?.types ?? []),
+    ...(activity?.damage?.parts ?? []).flatMap(part => [...(part.types ?? [])])
+  ]);
+  const damage = [...damageTypes].map(type => CONFIG.DND5E.damageTypes[type]?.label || type).join(", ");
+  return [attackType, damage].filter(Boolean).join(": ");
+}
+
+/**
+ * Get an item's description as plain text, truncated to the configured length
+ * @param {Item5e} item
+ * @returns {string}
+ */
+function getItemDescription(item) {
+  const html = item.system.description?.value ?? "";
+  const text = new DOMParser().parseFromString(html, "text/html").body.textContent
+    .replace(/@\w+\[[^\]]*\]\{([^}]*)\}/g, "$1")
+    .replace(/@\w+\[[^\]]*\]/g, "")
+    .replace(/\[\[\/?\w*\s*([^\]]*)\]\]/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const length = getSetting("featureDescriptionLength");
+  if (!length || (text.length <= length)) return text;
+  return `${text.slice(0, length).replace(/\s+\S*$/, "")}…`;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The knowledge that can be recalled about one monster
+ */
+export class MonsterKnowledge {
+  /**
+   * @param {Actor5e} monster
+   */
+  constructor(monster) {
+    this.monster = monster;
+  }
+
+  /**
+   * @type {Actor5e}
+   */
+  monster;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is this monster excluded from knowledge checks by the GM?
+   * @type {boolean}
+   */
+  get unknowable() {
+    return getMonsterOverrides(this.monster).unknowable;
+  }
+
+  /**
+   * Get the tier configuration for this monster
+   * The monster's own overrides take precedence over the world-level configuration
+   * @returns {Object}
+   */
+  getTierConfig() {
+    const tierConfig = getAllTierConfig(this.monster.system.details.cr);
+    return applyMonsterOverrides(tierConfig, getMonsterOverrides(this.monster));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the DC of each active tier for this monster
+   * Tiers above the highest one with info or lore configured reveal nothing and are left out
+   * @param {number} [adjustment=0] - Flat amount added to every DC
+   * @returns {Object<string, number>}
+   */
+  getTierDCs(adjustment = 0) {
+    const tierConfig = Object.entries(this.getTierConfig());
+    const lore = this.getLore();
+    const hasInfo = ([tier, config]) => config.info.length || lore.some(entry => entry.tier === tier);
+    const count = Math.max(tierConfig.findLastIndex(hasInfo) + 1, 1);
+
+    const dcs = {};
+    for (const [tier, config] of tierConfig.slice(0, count)) {
+      dcs[tier] = config.dc + adjustment;
+    }
+
+    return dcs;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the GM-written lore for this monster
+   * @returns {Object[]}
+   */
+  getLore() {
+    return getMonsterLore(this.monster);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the skills recommended for the monster's creature type
+   * @returns {string[]} Empty if the mapping is disabled or the type has no entry
+   */
+  getRecommendedSkills() {
+    if (getSetting("skillMapMode") === "off") return [];
+    return getRecommendedSkills(this.monster.system.details.type?.value);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the DC penalty for using an off-type skill against this monster
+   * @param {string} skillId
+   * @returns {number}
+   */
+  getSkillPenalty(skillId) {
+    if (getSetting("skillMapMode") !== "recommend") return 0;
+    const recommended = this.getRecommendedSkills();
+    if (!recommended.length || recommended.includes(skillId)) return 0;
+    return getSetting("offTypeDCPenalty") || 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Can this monster be recalled with a skill at all?
+   * Only false when the skill mapping restricts checks to the recommended skills
+   * @param {string} skillId
+   * @returns {boolean}
+   */
+  allowsSkill(skillId) {
+    if (getSetting("skillMapMode") !== "restrict") return true;
+    const recommended = this.getRecommendedSkills();
+    return !recommended.length || recommended.includes(skillId);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Answer the questions a player asked, in the order they were asked
+   * Answers are also filed under the tier that reveals their info type, so the bestiary can record them
+   * @param {string[]} questions - Info types, in the order they were asked
+   * @param {number} answered - How many questions the roll answers
+   * @param {Object} tierConfig
+   * @param {Object} [options]
+   * @param {boolean} [options.isFalse=false] - Answer with false lore instead
+   * @returns {{tiers: Object[], questions: Object[], alreadyKnown: string[], hasAny: boolean, isFalse: boolean}}
+   */
+  answerQuestions(questions, answered, tierConfig, { isFalse = false } = {}) {
+    const knowledge = {
+      tiers: [],
+      questions: [],
+      alreadyKnown: [],
+      hasAny: false,
+      isFalse
+    };
+
+    const tierLabels = getTierLabels();
+
+    questions.forEach((infoType, index) => {
+      let info = [];
+      if (index < answered) info = isFalse ? this._getFalseFacts(infoType) : this._getFacts(infoType);
+      knowledge.questions.push({ id: infoType, text: getQuestionText(infoType), answered: info.length > 0, info });
+      if (!info.length) return;
+
+      knowledge.hasAny = true;
+      const tierId = Object.keys(tierLabels).find(tier => tierConfig[tier]?.info.includes(infoType)) ?? Object.keys(tierLabels)[0];
+      let tierData = knowledge.tiers.find(tier => tier.id === tierId);
+      if (!tierData) {
+        tierData = { id: tierId, ...tierLabels[tierId], unlocked: true, info: [] };
+        knowledge.tiers.push(tierData);
+      }
+      tierData.info.push(...info);
+    });
+
+    knowledge.tiers.sort((a, b) => a.level - b.level);
+    return knowledge;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Build false knowledge for the lowest tier that has info configured
+   * Every fact is marked with isFalse so the GM's notes can list it and it never reaches players or the bestiary
+   * @param {Object} tierConfig
+   * @param {Object<string, number>} dcs
+   * @returns {{tiers: Object[], alreadyKnown: string[], hasAny: boolean, isFalse: boolean}}
+   */
+  generateFalseLore(tierConfig, dcs) {
+    const knowledge = {
+      tiers: [],
+      alreadyKnown: [],
+      hasAny: false,
+      isFalse: true
+    };
+
+    const tierId = Object.keys(dcs).find(tier => tierConfig[tier]?.info.length);
+    if (!tierId) return knowledge;
+
+    const tierData = {
+      id: tierId,
+      ...getTierLabels()[tierId],
+      unlocked: true,
+      info: []
+    };
+
+    for (const infoType of tierConfig[tierId].info) {
+      tierData.info.push(...this._getFalseFacts(infoType));
+    }
+
+    if (tierData.info.length > 0) {
+      knowledge.tiers.push(tierData);
+      knowledge.hasAny = true;
+    }
+
+    return knowledge;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get a plausible but wrong version of an info type
+   * @param {string} infoType
+   * @returns {Object|Object[]|null} Null if the info type can't be convincingly falsified
+   */
+  _getFalseInfoByType(infoType) {
+    const system = this.monster.system;
+    const randomElement = array => array[Math.floor(Math.random() * array.length)];
+    const randomOffset = (min, max) => (Math.random() < 0.5 ? -1 : 1) * (min + Math.floor(Math.random() * (max - min + 1)));
+
+    switch (infoType) {
+      case "resistances": {
+        const actual = new Set([...(system.traits.dr?.value ?? []), ...(system.traits.di?.value ?? [])]);
+        const candidates = Object.keys(CONFIG.DND5E.damageTypes).filter(type => !actual.has(type));
+        if (!candidates.length) return null;
+        const type = randomElement(candidates);
+        return {
+          label: game.i18n.localize("MKC.Chat.DamageResistances"),
+          items: [CONFIG.DND5E.damageTypes[type]?.label || type],
+          emptyText: ""
+        };
+      }
+      case "conditionImmunities": {
+        const actual = new Set(system.traits.ci?.value ?? []);
+        const candidates = Object.keys(CONFIG.DND5E.conditionTypes).filter(type => !actual.has(type));
+        if (!candidates.length) return null;
+        const condition = randomElement(candidates);
+        return {
+          label: game.i18n.localize("MKC.InfoType.ConditionImmunities"),
+          items: [CONFIG.DND5E.conditionTypes[condition]?.label || condition],
+          emptyText: ""
+        };
+      }
+      case "highestStat":
+      case "lowestStat": {
+        // Swap the highest and lowest ability scores
+        const stat = (infoType === "highestStat") ? this._getLowestStat() : this._getHighestStat();
+        if (!stat) return null;
+        const saveSign = stat.save >= 0 ? "+" : "";
+        return {
+          label: game.i18n.localize(infoType === "highestStat" ? "MKC.Chat.HighestStat" : "MKC.Chat.LowestStat"),
+          value: `${stat.label}: ${stat.value} (${game.i18n.localize("MKC.Chat.Save")}: ${saveSign}${stat.save})`
+        };
+      }
+      case "ac": {
+        const ac = system.attributes.ac?.value;
+        if (!Number.isFinite(ac)) return null;
+        return {
+          label: game.i18n.localize("MKC.InfoType.AC"),
+          value: Math.max(ac + randomOffset(2, 4), 5)
+        };
+      }
+      case "hp": {
+        const hp = system.attributes.hp?.max;
+        if (!hp) return null;
+        return {
+          label: game.i18n.localize("MKC.InfoType.HP"),
+          value: Math.max(Math.round(hp * randomElement([0.5, 0.6, 1.5, 1.75])), 1)
+        };
+      }
+      case "cr": {
+        const cr = system.details.cr;
+        if (!Number.isFinite(cr)) return null;
+        return {
+          label: game.i18n.localize("MKC.InfoType.CR"),
+          value: Math.max(Math.round(cr) + randomOffset(1, 3), 0)
+        };
+      }
+      case "creatureType": {
+        const actual = system.details.type?.value;
+        const candidates = Object.keys(CONFIG.DND5E.creatureTypes).filter(type => type !== actual);
+        if (!candidates.length) return null;
+        return {
+          label: game.i18n.localize("MKC.InfoType.CreatureType"),
+          value: CONFIG.DND5E.creatureTypes[randomElement(candidates)].label
+        };
+      }
+      case "legendaryActions":
+      case "legendaryResistances": {
+        const resource = (infoType === "legendaryActions") ? system.resources?.legact : system.resources?.legres;
+        return {
+          label: game.i18n.localize(infoType === "legendaryActions" ? "MKC.InfoType.LegendaryActions" : "MKC.InfoType.LegendaryResistances"),
+          value: resource?.max ? 0 : 3
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Gather the info revealed by the unlocked tiers
+   * @param {Object<string, boolean>} unlockedTiers
+   * @param {Object} tierConfig
+   * @param {string[]} [knownTiers=[]] - Tiers the character already knows, which are not revealed again
+   * @returns {{tiers: Object[], alreadyKnown: string[], hasAny: boolean}}
+   */
+  gatherKnowledge(unlockedTiers, tierConfig, knownTiers = []) {
+    const knowledge = {
+      tiers: [],
+      alreadyKnown: [],
+      hasAny: false
+    };
+
+    const tierLabels = getTierLabels();
+    const lore = this.getLore();
+
+    for (const [tierId, unlocked] of Object.entries(unlockedTiers)) {
+      if (unlocked && tierConfig[tierId]) {
+        const infoTypes = tierConfig[tierId].info ?? [];
+        const tierLore = lore.filter(entry => (entry.tier === tierId) && entry.text);
+        if (!infoTypes.length && !tierLore.length) continue;
+        
+        if (knownTiers.includes(tierId)) {
+          knowledge.alreadyKnown.push(tierLabels[tierId].label);
+          continue;
+        }
+        
+        knowledge.hasAny = true;
+        const tierData = {
+          id: tierId,
+          ...tierLabels[tierId],
+          unlocked: true,
+          info: []
+        };
+
+        for (const infoType of infoTypes) {
+          tierData.info.push(...this._getFacts(infoType));
+        }
+
+        // Lore is keyed by its ID, as several snippets may share a title
+        for (const entry of tierLore) {
+          tierData.info.push({
+            key: `lore.${entry.id}`,
+            label: entry.title || game.i18n.localize("MKC.Chat.Lore"),
+            html: entry.text,
+            isLore: true
+          });
+        }
+
+        if (tierData.info.length > 0) {
+          knowledge.tiers.push(tierData);
+        }
+      }
+    }
+
+    return knowledge;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the facts an info type reveals, each tagged with its info type so the bestiary can filter on it
+   * @param {string} infoType
+   * @returns {Object[]}
+   */
+  _getFacts(infoType) {
+    const info = this._getInfoByType(infoType);
+    return info ? [info].flat().map(item => ({ ...item, infoType })) : [];
+  }
+
+  /**
+   * Get false versions of the facts an info type reveals
+   * @param {string} infoType
+   * @returns {Object[]}
+   */
+  _getFalseFacts(infoType) {
+    const info = this._getFalseInfoByType(infoType);
+    return info ? [info].flat().map(item => ({ ...item, infoType, isFalse: true })) : [];
+  }
+
+  /* -------------------------------------------- */
+
+  _getInfoByType(infoType) {
+    const system = this.monster.system;
+    
+    switch (infoType) {
+      case "resistances":
+        return this._getResistancesInfo();
+      case "conditionImmunities":
+        return this._getConditionImmunitiesInfo();
+      case "highestStat":
+        return this._getHighestStatInfo();
+      case "lowestStat":
+        return this._getLowestStatInfo();
+      case "ac":
+        return {
+          label: game.i18n.localize("MKC.InfoType.AC"),
+          value: system.attributes.ac?.value ?? "—"
+        };
+      case "hp":
+        return {
+          label: game.i18n.localize("MKC.InfoType.HP"),
+          value: system.attributes.hp?.max ?? "—",
+          formula: system.attributes.hp?.formula || null
+        };
+      case "speed":
+        return {
+          label: game.i18n.localize("MKC.InfoType.Speed"),
+          value: this._formatSpeed()
+        };
+      case "senses":
+        return {
+          label: game.i18n.localize("MKC.InfoType.Senses"),
+          value: this._formatSenses()
+        };
+      case "languages":
+        return {
+          label: game.i18n.localize("MKC.InfoType.Languages"),
+          value: this._formatLanguages()
+        };
+      case "cr":
+        return {
+          label: game.i18n.localize("MKC.InfoType.CR"),
+          value: system.details.cr ?? "—"
+        };
+      case "creatureType":
+        return {
+          label: game.i18n.localize("MKC.InfoType.CreatureType"),
+          value: this.formatCreatureType()
+        };
+      case "allStats":
+        return {
+          label: game.i18n.localize("MKC.InfoType.AllStats"),
+          value: this._formatAllStats()
+        };
+      case "allSaves":
+        return {
+          label: game.i18n.localize("MKC.InfoType.AllSaves"),
+          value: this._formatAllSaves()
+        };
+      case "legendaryActions":
+        return {
+          label: game.i18n.localize("MKC.InfoType.LegendaryActions"),
+          value: system.resources?.legact?.max ?? 0
+        };
+      case "legendaryResistances":
+        return {
+          label: game.i18n.localize("MKC.InfoType.LegendaryResistances"),
+          value: system.resources?.legres?.max ?? 0
+        };
+      case "randomFeature":
+      case "passiveTraits":
+      case "attacks":
+      case "legendaryActionList":
+      case "lairActions":
+      case "rechargeAbilities":
+        return this._getFeatureInfo(infoType);
+      case "spellcaster":
+        return {
+          label: game.i18n.localize("MKC.InfoType.Spellcaster"),
+          value: game.i18n.localize(this._isSpellcaster() ? "Yes" : "No")
+        };
+      case "spellcasting":
+        return this._getSpellcastingInfo();
+      case "highestSpellLevel": {
+        const level = this._getHighestSpellLevel();
+        return {
+          label: game.i18n.localize("MKC.InfoType.HighestSpellLevel"),
+          value: (level === null) ? game.i18n.localize("MKC.Chat.NotASpellcaster") : CONFIG.DND5E.spellLevels[level]
+        };
+      }
+      case "knownSpells":
+      case "randomSpells":
+        return this._getSpellsInfo(infoType);
+      default:
+        return null;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the monster's features of one kind
+   * Each feature is its own fact, so the bestiary records them individually
+   * @param {string} infoType
+   * @returns {Object|Object[]}
+   */
+  _getFeatureInfo(infoType) {
+    const items = this._getRevealableItems();
+    let features = [];
+
+    switch (infoType) {
+      case "randomFeature": {
+        const feats = items.filter(i => i.type === "feat");
+        if (feats.length) features = [this._formatFeature(feats[Math.floor(Math.random() * feats.length)])];
+        break;
+      }
+      case "passiveTraits":
+        features = items.filter(i => (i.type === "feat") && !getActivationTypes(i).size).map(i => this._formatFeature(i));
+        break;
+      case "attacks": {
+        const multiattack = items.filter(i => (i.system.identifier === "multiattack") || /multiattack/i.test(i.name));
+        const attacks = items.filter(i => i.system.activities?.some(a => a.type === "attack"));
+        features = [
+          ...multiattack.map(i => this._formatFeature(i)),
+          ...attacks.map(i => this._formatFeature(i, formatAttack(i)))
+        ];
+        break;
+      }
+      case "legendaryActionList":
+        features = items.filter(i => getActivationTypes(i).has("legendary")).map(i => this._formatFeature(i));
+        break;
+      case "lairActions":
+        features = items.filter(i => getActivationTypes(i).has("lair")).map(i => this._formatFeature(i));
+        break;
+      case "rechargeAbilities":
+        features = items.filter(i => getRecharge(i)).map(i => this._formatFeature(i));
+        break;
+    }
+
+    if (!features.length) {
+      return {
+        label: game.i18n.localize(INFO_TYPES[infoType]),
+        value: game.i18n.localize("MKC.Chat.NoFeatures")
+      };
+    }
+    return features;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the items that may be revealed, leaving out those the GM has hidden
+   * @param {string[]} [types] - Item types to include, defaults to features
+   * @returns {Item5e[]}
+   */
+  _getRevealableItems(types = FEATURE_ITEM_TYPES) {
+    const { excludedItems } = getMonsterOverrides(this.monster);
+    return this.monster.items.filter(i => types.includes(i.type) && !excludedItems.includes(i.id));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Format a feature as a fact labelled with its name
+   * @param {Item5e} item
+   * @param {string} [description] - Defaults to the item's own description
+   * @returns {{key: string, label: string, description: string, isFeature: boolean}}
+   */
+  _formatFeature(item, description = getItemDescription(item)) {
+    const recharge = getRecharge(item);
+    return {
+      key: `item.${item.id}`,
+      label: recharge ? `${item.name} (${game.i18n.format("MKC.Chat.Recharge", { value: recharge })})` : item.name,
+      description,
+      isFeature: true
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does the monster cast spells, either from spell slots or from spell items?
+   * @returns {boolean}
+   */
+  _isSpellcaster() {
+    return (this._getHighestSpellLevel() !== null) || !!this.monster.system.attributes.spell?.level;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the highest level of spell the monster can cast
+   * @returns {number|null} Null if the monster has no spell slots or spells
+   */
+  _getHighestSpellLevel() {
+    const slots = Object.entries(this.monster.system.spells ?? {})
+      .filter(([, slot]) => slot?.max)
+      .map(([key, slot]) => (key === "pact") ? slot.level : Number(key.replace("spell", "")));
+    if (slots.length) return Math.max(...slots);
+
+    // Innate and at-will casters have no slots, so fall back to their spells
+    const spells = this._getRevealableItems(["spell"]);
+    return spells.length ? Math.max(...spells.map(s => s.system.level)) : null;
+  }
+
+  /* -------------------------------------------- */
+
+  _getSpellcastingInfo() {
+    const ability = this.monster.system.attributes.spellcasting;
+    const label = game.i18n.localize("MKC.InfoType.Spellcasting");
+    if (!ability || !this._isSpellcaster()) return { label, value: game.i18n.localize("MKC.Chat.NotASpellcaster") };
+
+    return {
+      label,
+      value: game.i18n.format("MKC.Chat.SpellcastingValue", {
+        ability: CONFIG.DND5E.abilities[ability]?.label || ability,
+        dc: this.monster.system.attributes.spell?.dc ?? "—"
+      })
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the monster's spells, all of them or a random few
+   * The names link to the spell items for the GM, and for players only if the world allows it
+   * @param {string} infoType - "knownSpells" or "randomSpells"
+   * @returns {{label: string, items: string[], uuids: string[], links: string, linksForPlayers: boolean, emptyText: string}}
+   */
+  _getSpellsInfo(infoType) {
+    let spells = this._getRevealableItems(["spell"])
+      .sort((a, b) => (a.system.level - b.system.level) || a.name.localeCompare(b.name));
+
+    if (infoType === "randomSpells") {
+      const count = getSetting("randomSpellCount");
+      const picked = new Set();
+      while (picked.size < Math.min(count, spells.length)) {
+        picked.add(spells[Math.floor(Math.random() * spells.length)]);
+      }
+      spells = spells.filter(spell => picked.has(spell));
+    }
+
+    return {
+      label: game.i18n.localize(infoType === "knownSpells" ? "MKC.Chat.KnownSpells" : "MKC.Chat.SomeKnownSpells"),
+      items: spells.map(spell => spell.name),
+      uuids: spells.map(spell => spell.uuid),
+      links: spells.map(spell => spell.toAnchor().outerHTML).join(", "),
+      linksForPlayers: getSetting("spellLinksForPlayers"),
+      emptyText: game.i18n.localize("MKC.Chat.NotASpellcaster")
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  _getResistancesInfo() {
+    const traits = this.monster.system.traits;
+    const parts = [];
+    
+    const vuln = this._formatDamageTraits(traits.dv);
+    const res = this._formatDamageTraits(traits.dr);
+    const imm = this._formatDamageTraits(traits.di);
+    
+    // Build array of info items (same format as condition immunities)
+    const infoItems = [];
+    
+    // The damage type keys let the bestiary browser filter on them
+    const damageTypes = trait => [...(trait?.value ?? [])];
+    if (vuln.length) {
+      infoItems.push({
+        label: game.i18n.localize("MKC.Chat.DamageVulnerabilities"),
+        items: vuln,
+        emptyText: "",
+        trait: "dv",
+        damageTypes: damageTypes(traits.dv)
+      });
+    }
+    if (res.length) {
+      infoItems.push({
+        label: game.i18n.localize("MKC.Chat.DamageResistances"),
+        items: res,
+        emptyText: "",
+        trait: "dr",
+        damageTypes: damageTypes(traits.dr)
+      });
+    }
+    if (imm.length) {
+      infoItems.push({
+        label: game.i18n.localize("MKC.Chat.DamageImmunities"),
+        items: imm,
+        emptyText: "",
+        trait: "di",
+        damageTypes: damageTypes(traits.di)
+      });
+    }
+    
+    if (infoItems.length === 0) {
+      return {
+        label: game.i18n.localize("MKC.Chat.DamageTraits"),
+        value: game.i18n.localize("MKC.Chat.NoDamageTraits")
+      };
+    }
+    
+    // Return multiple items to be added individually
+    return infoItems;
+  }
+
+  /* -------------------------------------------- */
+
+  _getConditionImmunitiesInfo() {
+    const conditions = this._getConditionImmunities();
+    return {
+      label: game.i18n.localize("MKC.InfoType.ConditionImmunities"),
+      items: conditions,
+      emptyText: game.i18n.localize("MKC.Chat.NoConditionImmunities")
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  _getHighestStatInfo() {
+    const stat = this._getHighestStat();
+    if (!stat) return null;
+    
+    const saveSign = stat.save >= 0 ? "+" : "";
+    return {
+      label: game.i18n.localize("MKC.Chat.HighestStat"),
+      value: `${stat.label}: ${stat.value} (${game.i18n.localize("MKC.Chat.Save")}: ${saveSign}${stat.save})`
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  _getLowestStatInfo() {
+    const stat = this._getLowestStat();
+    if (!stat) return null;
+    
+    const saveSign = stat.save >= 0 ? "+" : "";
+    return {
+      label: game.i18n.localize("MKC.Chat.LowestStat"),
+      value: `${stat.label}: ${stat.value} (${game.i18n.localize("MKC.Chat.Save")}: ${saveSign}${stat.save})`
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  _formatDamageTraits(trait) {
+    if (!trait) return [];
+    
+    const values = [];
+    
+    if (trait.value instanceof Set) {
+      for (const type of trait.value) {
+        const label = CONFIG.DND5E.damageTypes[type]?.label || type;
+        values.push(label);
+      }
+    } else if (Array.isArray(trait.value)) {
+      for (const type of trait.value) {
+        const label = CONFIG.DND5E.damageTypes[type]?.label || type;
+        values.push(label);
+      }
+    }
+    
+    if (trait.custom) values.push(trait.custom);
+    
+    return values;
+  }
+
+  /* -------------------------------------------- */
+
+  _getConditionImmunities() {
+    const ci = this.monster.system.traits.ci;
+    if (!ci) return [];
+    
+    const values = [];
+    
+    if (ci.value instanceof Set) {
+      for (const condition of ci.value) {
+        const label = CONFIG.DND5E.conditionTypes[condition]?.label || condition;
+        values.push(label);
+      }
+    } else if (Array.isArray(ci.value)) {
+      for (const condition of ci.value) {
+        const label = CONFIG.DND5E.conditionTypes[condition]?.label || condition;
+        values.push(label);
+      }
+    }
+    
+    if (ci.custom) values.push(ci.custom);
+    
+    return values;
+  }
+
+  /* -------------------------------------------- */
+
+  _getHighestStat() {
+    const abilities = this.monster.system.abilities;
+    let highest = { id: null, value: -Infinity, save: 0, label: "" };
+    
+    for (const [id, ability] of Object.entries(abilities)) {
+      if (ability.value > highest.value) {
+        highest = {
+          id,
+          value: ability.value,
+          save: ability.save?.value ?? ability.save ?? 0,
+          label: CONFIG.DND5E.abilities[id]?.label || id
+        };
+      }
+    }
+    
+    return highest.id ? highest : null;
+  }
+
+  /* -------------------------------------------- */
+
+  _getLowestStat() {
+    const abilities = this.monster.system.abilities;
+    let lowest = { id: null, value: Infinity, save: 0, label: "" };
+    
+    for (const [id, ability] of Object.entries(abilities)) {
+      if (ability.value < lowest.value) {
+        lowest = {
+          id,
+          value: ability.value,
+          save: ability.save?.value ?? ability.save ?? 0,
+          label: CONFIG.DND5E.abilities[id]?.label || id
+        };
+      }
+    }
+    
+    return lowest.id ? lowest : null;
+  }
+
+  /* -------------------------------------------- */
+
+  _formatSpeed() {
+    const movement = this.monster.system.attributes.movement;
+    if (!movement) return "—";
+
+    const parts = [];
+    if (movement.walk) parts.push(`${movement.walk} ${movement.units || "ft."}`);
+    if (movement.fly) parts.push(`fly ${movement.fly} ${movement.units || "ft."}${movement.hover ? " (hover)" : ""}`);
+    if (movement.swim) parts.push(`swim ${movement.swim} ${movement.units || "ft."}`);
+    if (movement.climb) parts.push(`climb ${movement.climb} ${movement.units || "ft."}`);
+    if (movement.burrow) parts.push(`burrow ${movement.burrow} ${movement.units || "ft."}`);
+
+    return parts.join(", ") || "—";
+  }
+
+  /* -------------------------------------------- */
+
+  _formatSenses() {
+    const senses = this.monster.system.attributes.senses;
+    if (!senses) return "—";
+
+    const parts = [];
+    const units = senses.units || "ft.";
+    
+    if (senses.darkvision) parts.push(`darkvision ${senses.darkvision} ${units}`);
+    if (senses.blindsight) parts.push(`blindsight ${senses.blindsight} ${units}`);
+    if (senses.tremorsense) parts.push(`tremorsense ${senses.tremorsense} ${units}`);
+    if (senses.truesight) parts.push(`truesight ${senses.truesight} ${units}`);
+    if (senses.special) parts.push(senses.special);
+
+    return parts.join(", ") || "—";
+  }
+
+  /* -------------------------------------------- */
+
+  _formatLanguages() {
+    const languages = this.monster.system.traits.languages;
+    if (!languages) return "—";
+
+    const parts = [];
+
+    if (languages.value instanceof Set) {
+      for (const lang of languages.value) {
+        const label = CONFIG.DND5E.languages[lang]?.label || lang;
+        parts.push(label);
+      }
+    } else if (Array.isArray(languages.value)) {
+      for (const lang of languages.value) {
+        const label = CONFIG.DND5E.languages[lang]?.label || lang;
+        parts.push(label);
+      }
+    }
+
+    if (languages.custom) parts.push(languages.custom);
+
+    return parts.join(", ") || "—";
+  }
+
+  /* -------------------------------------------- */
+
+  formatCreatureType() {
+    const details = this.monster.system.details;
+    const typeValue = details.type?.value;
+    const typeLabel = CONFIG.DND5E.creatureTypes[typeValue]?.label || typeValue || "—";
+    
+    if (details.type?.subtype) {
+      return `${typeLabel} (${details.type.subtype})`;
+    }
+    return typeLabel;
+  }
+
+  /* -------------------------------------------- */
+
+  _formatAllStats() {
+    const abilities = this.monster.system.abilities;
+    const parts = [];
+
+    for (const [id, ability] of Object.entries(abilities)) {
+      const label = CONFIG.DND5E.abilities[id]?.abbreviation?.toUpperCase() || id;
+      parts.push(`${label}: ${ability.value}`);
+    }
+
+    return parts.join(", ");
+  }
+
+  /* -------------------------------------------- */
+
+  _formatAllSaves() {
+    const abilities = this.monster.system.abilities;
+    const parts = [];
+
+    for (const [id, ability] of Object.entries(abilities)) {
+      const label = CONFIG.DND5E.abilities[id]?.abbreviation?.toUpperCase() || id;
+      const save = ability.save?.value ?? ability.save ?? 0;
+      const sign = save >= 0 ? "+" : "";
+      parts.push(`${label}: ${sign}${save}`);
+    }
+
+    return parts.join(", ");
+  }
+}
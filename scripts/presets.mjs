@@ -0,0 +1,300 @@
+/**
+ * Tier Configuration Presets
+ * Built-in and world-saved presets of the tiers and knowledge rules, with JSON import and export
+ */
+
+import { getSetting, setSetting, getTiers, DEFAULT_TIERS, INFO_TYPES, KNOWLEDGE_SKILLS, TIER_DC_RANGE } from "./settings.mjs";
+
+const { DialogV2 } = foundry.applications.api;
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * Settings saved in a preset alongside the tiers
+ * Per-user settings, the lore library and the presets themselves are left out
+ */
+export const PRESET_SETTINGS = [
+  "dcMode", "crDCStep", "crDCTable", "naturalTwentyBonus", "falseLoreOnFumble", "groupRule", "recallMode",
+  "questionMargin", "retryLimit", "combatCost", "combatEnforcement", "defaultVisibility", "autopassRole",
+  "dcModifierRole", "skillMapMode", "offTypeDCPenalty", "featureDescriptionLength", "randomSpellCount",
+  "spellLinksForPlayers", "autoRecord", "skillMap"
+];
+
+/**
+ * Get the presets that ship with the module
+ * Built when needed, as the default tiers come from the settings module, which imports this one
+ * @returns {{id: string, name: string, tiers: Object[], settings: Object}[]}
+ */
+export function getBuiltInPresets() {
+  const withTiers = (dcs, info) => DEFAULT_TIERS.map((tier, index) => ({ ...tier, dc: dcs[index], info: info[index] }));
+  return [
+    {
+      id: "stingy",
+      name: "MKC.Presets.Stingy",
+      tiers: withTiers([14, 17, 20, 24, 28], [
+        ["creatureType"],
+        ["resistances"],
+        ["conditionImmunities"],
+        ["highestStat"],
+        ["lowestStat"]
+      ]),
+      settings: { naturalTwentyBonus: false, falseLoreOnFumble: true, questionMargin: 6, offTypeDCPenalty: 5 }
+    },
+    {
+      id: "default",
+      name: "MKC.Presets.Default",
+      tiers: foundry.utils.deepClone(DEFAULT_TIERS),
+      settings: Object.fromEntries(PRESET_SETTINGS.map(key => [key, getSettingConfig(key).default]))
+    },
+    {
+      id: "generous",
+      name: "MKC.Presets.Generous",
+      tiers: withTiers([10, 13, 16, 19, 22], [
+        ["creatureType", "resistances", "ac"],
+        ["conditionImmunities", "hp", "senses"],
+        ["highestStat", "lowestStat", "attacks"],
+        ["allSaves", "spellcasting", "legendaryActions", "legendaryResistances"],
+        ["knownSpells", "rechargeAbilities"]
+      ]),
+      settings: { naturalTwentyBonus: true, falseLoreOnFumble: false, questionMargin: 4, offTypeDCPenalty: 2 }
+    }
+  ];
+}
+
+/**
+ * Get the presets saved in this world
+ * @returns {{id: string, name: string, tiers: Object[], settings: Object}[]}
+ */
+export function getWorldPresets() {
+  return getSetting("presets") ?? [];
+}
+
+/**
+ * Find a built-in or world preset
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getPreset(id) {
+  return [...getBuiltInPresets(), ...getWorldPresets()].find(preset => preset.id === id);
+}
+
+/**
+ * Get the registered configuration of one of the module's settings
+ * @param {string} key
+ * @returns {Object}
+ */
+function getSettingConfig(key) {
+  return game.settings.settings.get(`${MODULE_ID}.${key}`);
+}
+
+/**
+ * Build a preset from the world's current configuration
+ * @param {Object} [options]
+ * @param {string} [options.name=""]
+ * @param {Object[]} [options.tiers] - Tiers to save instead of the saved ones, such as those being edited
+ * @returns {{id: string, name: string, tiers: Object[], settings: Object}}
+ */
+export function createPreset({ name = "", tiers = getTiers() } = {}) {
+  return {
+    id: foundry.utils.randomID(),
+    name,
+    tiers: foundry.utils.deepClone(tiers),
+    settings: Object.fromEntries(PRESET_SETTINGS.map(key => [key, foundry.utils.deepClone(getSetting(key))]))
+  };
+}
+
+/* -------------------------------------------- */
+/*  Validation                                  */
+/* -------------------------------------------- */
+
+/**
+ * Check that a setting value suits the setting's type, choices and range
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidSettingValue(key, value) {
+  const config = getSettingConfig(key);
+  if (config.choices && !(value in config.choices)) return false;
+
+  switch (config.type) {
+    case Number:
+      if (!Number.isFinite(value)) return false;
+      return !config.range || ((value >= config.range.min) && (value <= config.range.max));
+    case Boolean:
+      return typeof value === "boolean";
+    case String:
+      return typeof value === "string";
+    case Object:
+      return (foundry.utils.getType(value) === "Object");
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate an imported skill map, keeping the creature types and skills the module knows
+ * @param {Object} skillMap
+ * @param {string[]} problems - Problems found are added to this list
+ * @returns {Object<string, string[]>}
+ */
+function validateSkillMap(skillMap, problems) {
+  const valid = {};
+  for (const [type, skills] of Object.entries(skillMap)) {
+    if (!(type in CONFIG.DND5E.creatureTypes)) {
+      problems.push(game.i18n.format("MKC.Presets.Problems.UnknownCreatureType", { type }));
+      continue;
+    }
+    if (!Array.isArray(skills)) {
+      problems.push(game.i18n.format("MKC.Presets.Problems.InvalidSkills", { type }));
+      continue;
+    }
+    for (const skill of skills.filter(skill => !KNOWLEDGE_SKILLS.includes(skill))) {
+      problems.push(game.i18n.format("MKC.Presets.Problems.UnknownSkill", { type, skill }));
+    }
+    valid[type] = [...new Set(skills.filter(skill => KNOWLEDGE_SKILLS.includes(skill)))];
+  }
+  return valid;
+}
+
+/**
+ * Validate a preset, such as one read from an imported file
+ * Invalid parts are left out and reported, so the rest of the preset can still be used
+ * @param {*} data
+ * @returns {{preset: Object|null, problems: string[]}} A null preset if nothing usable remains
+ */
+export function validatePreset(data) {
+  const problems = [];
+  if (foundry.utils.getType(data) !== "Object") {
+    return { preset: null, problems: [game.i18n.localize("MKC.Presets.Problems.NotAPreset")] };
+  }
+
+  // Tiers need a DC, and may only reveal known info types
+  const tiers = [];
+  const ids = new Set();
+  for (const [index, tier] of (Array.isArray(data.tiers) ? data.tiers : []).entries()) {
+    const name = (typeof tier?.name === "string") && tier.name.trim()
+      ? tier.name.trim()
+      : game.i18n.format("MKC.Settings.TierConfig.DefaultName", { number: index + 1 });
+    const dc = Number(tier?.dc);
+    if (!Number.isFinite(dc) || (dc < TIER_DC_RANGE.min) || (dc > TIER_DC_RANGE.max)) {
+      problems.push(game.i18n.format("MKC.Presets.Problems.InvalidDC", { tier: name, ...TIER_DC_RANGE }));
+      continue;
+    }
+
+    const info = Array.isArray(tier.info) ? tier.info : [];
+    for (const infoType of info.filter(infoType => !(infoType in INFO_TYPES))) {
+      problems.push(game.i18n.format("MKC.Presets.Problems.UnknownInfoType", { tier: name, type: infoType }));
+    }
+
+    let id = (typeof tier.id === "string") && tier.id ? tier.id : foundry.utils.randomID();
+    if (ids.has(id)) id = foundry.utils.randomID();
+    ids.add(id);
+
+    tiers.push({
+      id,
+      name,
+      dc,
+      icon: (typeof tier.icon === "string") && tier.icon.trim() ? tier.icon.trim() : "fas fa-star",
+      info: [...new Set(info.filter(infoType => infoType in INFO_TYPES))]
+    });
+  }
+  if (!tiers.length) {
+    problems.push(game.i18n.localize("MKC.Presets.Problems.NoTiers"));
+    return { preset: null, problems };
+  }
+
+  // Settings the module doesn't know or can't use are skipped
+  const settings = {};
+  for (const [key, value] of Object.entries(data.settings ?? {})) {
+    if (!PRESET_SETTINGS.includes(key)) problems.push(game.i18n.format("MKC.Presets.Problems.UnknownSetting", { key }));
+    else if (!isValidSettingValue(key, value)) problems.push(game.i18n.format("MKC.Presets.Problems.InvalidSetting", { key }));
+    else if (key === "skillMap") settings[key] = validateSkillMap(value, problems);
+    else settings[key] = value;
+  }
+
+  const name = (typeof data.name === "string") ? data.name.trim() : "";
+  return { preset: { id: foundry.utils.randomID(), name, tiers, settings }, problems };
+}
+
+/* -------------------------------------------- */
+/*  Applying, Importing and Exporting           */
+/* -------------------------------------------- */
+
+/**
+ * Replace the world's tiers and knowledge rules with a preset's
+ * Settings the preset doesn't include are left as they are
+ * @param {Object} preset
+ */
+export async function applyPreset(preset) {
+  await setSetting("tiers", foundry.utils.deepClone(preset.tiers));
+  for (const [key, value] of Object.entries(preset.settings ?? {})) {
+    if (PRESET_SETTINGS.includes(key)) await setSetting(key, value);
+  }
+}
+
+/**
+ * Save a preset to the world, replacing one of the same name
+ * @param {Object} preset
+ */
+export async function saveWorldPreset(preset) {
+  const presets = getWorldPresets().filter(p => p.name !== preset.name);
+  await setSetting("presets", [...presets, preset]);
+}
+
+/**
+ * Delete a preset saved in the world
+ * @param {string} id
+ */
+export async function deleteWorldPreset(id) {
+  await setSetting("presets", getWorldPresets().filter(preset => preset.id !== id));
+}
+
+/**
+ * Download a preset as a JSON file
+ * @param {Object} preset
+ */
+export function exportPreset(preset) {
+  const { id, ...data } = preset;
+  const filename = `${MODULE_ID}-${(preset.name || "preset").slugify()}.json`;
+  foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), "text/json", filename);
+}
+
+/**
+ * Ask for a JSON file and read a preset from it
+ * Problems found while validating are reported to the user
+ * @returns {Promise<Object|null>} The valid parts of the preset, or null if there are none or the dialog was closed
+ */
+export async function importPreset() {
+  const file = await DialogV2.prompt({
+    window: { title: "MKC.Presets.Import", icon: "fas fa-file-import" },
+    content: `<p>${game.i18n.localize("MKC.Presets.ImportHint")}</p><input type="file" name="file" accept=".json">`,
+    ok: {
+      label: "MKC.Presets.Import",
+      icon: "fas fa-file-import",
+      callback: (event, button) => button.form.elements.file.files[0] ?? null
+    },
+    rejectClose: false
+  });
+  if (!file) return null;
+
+  let data;
+  try {
+    data = JSON.parse(await foundry.utils.readTextFromFile(file));
+  } catch {
+    ui.notifications.error(game.i18n.format("MKC.Presets.InvalidJSON", { name: file.name }));
+    return null;
+  }
+
+  const { preset, problems } = validatePreset(data);
+  if (problems.length) {
+    const list = problems.map(problem => `<li>${foundry.utils.escapeHTML(problem)}</li>`).join("");
+    await DialogV2.prompt({
+      window: { title: "MKC.Presets.ProblemsTitle", icon: "fas fa-triangle-exclamation" },
+      content: `<p>${game.i18n.localize(preset ? "MKC.Presets.ProblemsSkipped" : "MKC.Presets.ProblemsFailed")}</p><ul>${list}</ul>`,
+      rejectClose: false
+    });
+  }
+  if (preset) preset.name ||= file.name.replace(/\.json$/i, "");
+  return preset;
+}
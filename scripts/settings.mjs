@@ -1,8 +1,17 @@
 /**
  * Settings Registration for Monster Knowledge Check
- * Uses a tier-based system (Tier I-IV) with configurable info per tier
+ * Uses a tier-based system with a configurable, ordered list of tiers, each revealing its own info
  */
 
+import { KnowledgeMemoryViewer } from "./knowledge-memory.mjs";
+import { BestiaryRepairMenu, BestiaryQueue } from "./bestiary.mjs";
+import { LoreLibraryMenu } from "./lore.mjs";
+import { refreshKnowledgeIndicators } from "./token-knowledge.mjs";
+import {
+  getBuiltInPresets, getWorldPresets, getPreset, createPreset, applyPreset, saveWorldPreset, deleteWorldPreset,
+  exportPreset, importPreset
+} from "./presets.mjs";
+
 const MODULE_ID = "momos-guide-to-monsters";
 
 /**
@@ -23,150 +32,406 @@ export const INFO_TYPES = {
   allStats: "MKC.InfoType.AllStats",
   allSaves: "MKC.InfoType.AllSaves",
   legendaryActions: "MKC.InfoType.LegendaryActions",
-  legendaryResistances: "MKC.InfoType.LegendaryResistances"
+  legendaryResistances: "MKC.InfoType.LegendaryResistances",
+  randomFeature: "MKC.InfoType.RandomFeature",
+  passiveTraits: "MKC.InfoType.PassiveTraits",
+  attacks: "MKC.InfoType.Attacks",
+  legendaryActionList: "MKC.InfoType.LegendaryActionList",
+  lairActions: "MKC.InfoType.LairActions",
+  rechargeAbilities: "MKC.InfoType.RechargeAbilities",
+  spellcaster: "MKC.InfoType.Spellcaster",
+  spellcasting: "MKC.InfoType.Spellcasting",
+  highestSpellLevel: "MKC.InfoType.HighestSpellLevel",
+  knownSpells: "MKC.InfoType.KnownSpells",
+  randomSpells: "MKC.InfoType.RandomSpells"
 };
 
 /**
- * Default info selections for each tier
+ * Item types whose names and descriptions can be revealed as features
  */
-export const DEFAULT_TIER_INFO = {
-  tier1: ["resistances"],
-  tier2: ["conditionImmunities"],
-  tier3: ["highestStat"],
-  tier4: ["lowestStat"],
-  tier5: []
-};
+export const FEATURE_ITEM_TYPES = ["feat", "weapon"];
+
+/**
+ * Default tiers, lowest first
+ * Names may be localization keys
+ */
+export const DEFAULT_TIERS = [
+  { id: "tier1", name: "MKC.Tier.I", dc: 12, icon: "fas fa-star", info: ["resistances"] },
+  { id: "tier2", name: "MKC.Tier.II", dc: 15, icon: "fas fa-star", info: ["conditionImmunities"] },
+  { id: "tier3", name: "MKC.Tier.III", dc: 18, icon: "fas fa-star", info: ["highestStat"] },
+  { id: "tier4", name: "MKC.Tier.IV", dc: 22, icon: "fas fa-crown", info: ["lowestStat"] },
+  { id: "tier5", name: "MKC.Tier.V", dc: 25, icon: "fas fa-gem", info: [] }
+];
 
 /**
- * Default DC values for each tier
+ * The DCs a tier may have, both when configured and when imported in a preset
  */
-export const DEFAULT_DCS = {
-  tier1: 12,
-  tier2: 15,
-  tier3: 18,
-  tier4: 22,
-  tier5: 25
+export const TIER_DC_RANGE = { min: 1, max: 40 };
+
+/**
+ * Default CR to Tier I DC table, as "minimum CR: DC" pairs
+ */
+export const DEFAULT_CR_TABLE = "0: 10, 1: 12, 5: 14, 11: 16, 17: 18, 21: 20";
+
+/**
+ * Skills that can be used to make a knowledge check
+ */
+export const KNOWLEDGE_SKILLS = ["arc", "his", "nat", "rel"];
+
+/**
+ * Default recommended skills for each dnd5e creature type
+ */
+export const DEFAULT_SKILL_MAP = {
+  aberration: ["arc"],
+  beast: ["nat"],
+  celestial: ["rel"],
+  construct: ["arc"],
+  dragon: ["arc", "his"],
+  elemental: ["arc", "nat"],
+  fey: ["arc", "nat"],
+  fiend: ["rel"],
+  giant: ["his"],
+  humanoid: ["his"],
+  monstrosity: ["nat"],
+  ooze: ["nat"],
+  plant: ["nat"],
+  undead: ["rel"]
 };
 
 /**
  * Register all module settings
  */
 export function registerSettings() {
-  // DC Settings for each tier
-  game.settings.register(MODULE_ID, "dcTier1", {
-    name: "MKC.Settings.DCTier1.Name",
-    hint: "MKC.Settings.DCTier1.Hint",
+  // Tiers, lowest first, edited in the tier configuration menu
+  game.settings.register(MODULE_ID, "tiers", {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: DEFAULT_TIERS
+  });
+
+  // Named presets of the tiers and knowledge rules saved in this world
+  game.settings.register(MODULE_ID, "presets", {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  // Challenge Rating scaling of the tier DCs
+  game.settings.register(MODULE_ID, "dcMode", {
+    name: "MKC.Settings.DCMode.Name",
+    hint: "MKC.Settings.DCMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      fixed: "MKC.Settings.DCMode.Fixed",
+      crOffset: "MKC.Settings.DCMode.CROffset",
+      crTable: "MKC.Settings.DCMode.CRTable"
+    },
+    default: "fixed"
+  });
+
+  game.settings.register(MODULE_ID, "crDCStep", {
+    name: "MKC.Settings.CRDCStep.Name",
+    hint: "MKC.Settings.CRDCStep.Hint",
     scope: "world",
     config: true,
     type: Number,
-    default: DEFAULT_DCS.tier1,
+    default: 0.5,
     range: {
-      min: 1,
-      max: 40,
-      step: 1
+      min: 0,
+      max: 2,
+      step: 0.25
     }
   });
 
-  game.settings.register(MODULE_ID, "dcTier2", {
-    name: "MKC.Settings.DCTier2.Name",
-    hint: "MKC.Settings.DCTier2.Hint",
+  game.settings.register(MODULE_ID, "crDCTable", {
+    name: "MKC.Settings.CRDCTable.Name",
+    hint: "MKC.Settings.CRDCTable.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: DEFAULT_CR_TABLE
+  });
+
+  // Optional natural 20 and natural 1 rules
+  game.settings.register(MODULE_ID, "naturalTwentyBonus", {
+    name: "MKC.Settings.NaturalTwentyBonus.Name",
+    hint: "MKC.Settings.NaturalTwentyBonus.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "falseLoreOnFumble", {
+    name: "MKC.Settings.FalseLoreOnFumble.Name",
+    hint: "MKC.Settings.FalseLoreOnFumble.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // How a group check resolves
+  game.settings.register(MODULE_ID, "groupRule", {
+    name: "MKC.Settings.GroupRule.Name",
+    hint: "MKC.Settings.GroupRule.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      best: "MKC.GroupRule.Best",
+      combined: "MKC.GroupRule.Combined",
+      help: "MKC.GroupRule.Help"
+    },
+    default: "best"
+  });
+
+  game.settings.register(MODULE_ID, "recallMode", {
+    name: "MKC.Settings.RecallMode.Name",
+    hint: "MKC.Settings.RecallMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      tiers: "MKC.Settings.RecallMode.Tiers",
+      questions: "MKC.Settings.RecallMode.Questions"
+    },
+    default: "tiers"
+  });
+
+  game.settings.register(MODULE_ID, "questionMargin", {
+    name: "MKC.Settings.QuestionMargin.Name",
+    hint: "MKC.Settings.QuestionMargin.Hint",
     scope: "world",
     config: true,
     type: Number,
-    default: DEFAULT_DCS.tier2,
+    default: 5,
     range: {
       min: 1,
-      max: 40,
+      max: 10,
       step: 1
     }
   });
 
-  game.settings.register(MODULE_ID, "dcTier3", {
-    name: "MKC.Settings.DCTier3.Name",
-    hint: "MKC.Settings.DCTier3.Hint",
+  // How often a character may try to recall the same creature
+  game.settings.register(MODULE_ID, "retryLimit", {
+    name: "MKC.Settings.RetryLimit.Name",
+    hint: "MKC.Settings.RetryLimit.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "MKC.Settings.RetryLimit.Off",
+      shortRest: "MKC.Settings.RetryLimit.ShortRest",
+      longRest: "MKC.Settings.RetryLimit.LongRest",
+      day: "MKC.Settings.RetryLimit.Day",
+      scene: "MKC.Settings.RetryLimit.Scene"
+    },
+    default: "off"
+  });
+
+  // What a knowledge check costs during combat
+  game.settings.register(MODULE_ID, "combatCost", {
+    name: "MKC.Settings.CombatCost.Name",
+    hint: "MKC.Settings.CombatCost.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "MKC.Settings.CombatCost.Off",
+      action: "MKC.Settings.CombatCost.Action",
+      bonus: "MKC.Settings.CombatCost.Bonus",
+      study: "MKC.Settings.CombatCost.Study"
+    },
+    default: "off"
+  });
+
+  game.settings.register(MODULE_ID, "combatEnforcement", {
+    name: "MKC.Settings.CombatEnforcement.Name",
+    hint: "MKC.Settings.CombatEnforcement.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      warn: "MKC.Settings.CombatEnforcement.Warn",
+      block: "MKC.Settings.CombatEnforcement.Block"
+    },
+    default: "warn"
+  });
+
+  // Default chat card visibility
+  game.settings.register(MODULE_ID, "defaultVisibility", {
+    name: "MKC.Settings.DefaultVisibility.Name",
+    hint: "MKC.Settings.DefaultVisibility.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      core: "MKC.Settings.DefaultVisibility.Core",
+      public: "MKC.Visibility.Public",
+      whisper: "MKC.Visibility.Whisper",
+      blind: "MKC.Visibility.Blind",
+      secret: "MKC.Visibility.Secret"
+    },
+    default: "core"
+  });
+
+  // Roles that may use Background Knowledge and DC modifiers without GM approval
+  const roleChoices = {
+    [CONST.USER_ROLES.PLAYER]: "USER.RolePlayer",
+    [CONST.USER_ROLES.TRUSTED]: "USER.RoleTrusted",
+    [CONST.USER_ROLES.ASSISTANT]: "USER.RoleAssistant",
+    [CONST.USER_ROLES.GAMEMASTER]: "USER.RoleGamemaster"
+  };
+
+  game.settings.register(MODULE_ID, "autopassRole", {
+    name: "MKC.Settings.AutopassRole.Name",
+    hint: "MKC.Settings.AutopassRole.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    choices: roleChoices,
+    default: CONST.USER_ROLES.ASSISTANT
+  });
+
+  game.settings.register(MODULE_ID, "dcModifierRole", {
+    name: "MKC.Settings.DCModifierRole.Name",
+    hint: "MKC.Settings.DCModifierRole.Hint",
     scope: "world",
     config: true,
     type: Number,
-    default: DEFAULT_DCS.tier3,
+    choices: roleChoices,
+    default: CONST.USER_ROLES.ASSISTANT
+  });
+
+  // Creature type skill mapping
+  game.settings.register(MODULE_ID, "skillMapMode", {
+    name: "MKC.Settings.SkillMapMode.Name",
+    hint: "MKC.Settings.SkillMapMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "MKC.Settings.SkillMapMode.Off",
+      recommend: "MKC.Settings.SkillMapMode.Recommend",
+      restrict: "MKC.Settings.SkillMapMode.Restrict"
+    },
+    default: "recommend"
+  });
+
+  game.settings.register(MODULE_ID, "offTypeDCPenalty", {
+    name: "MKC.Settings.OffTypeDCPenalty.Name",
+    hint: "MKC.Settings.OffTypeDCPenalty.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 5,
     range: {
-      min: 1,
-      max: 40,
+      min: 0,
+      max: 10,
       step: 1
     }
   });
 
-  game.settings.register(MODULE_ID, "dcTier4", {
-    name: "MKC.Settings.DCTier4.Name",
-    hint: "MKC.Settings.DCTier4.Hint",
+  game.settings.register(MODULE_ID, "featureDescriptionLength", {
+    name: "MKC.Settings.FeatureDescriptionLength.Name",
+    hint: "MKC.Settings.FeatureDescriptionLength.Hint",
     scope: "world",
     config: true,
     type: Number,
-    default: DEFAULT_DCS.tier4,
+    default: 200,
     range: {
-      min: 1,
-      max: 40,
-      step: 1
+      min: 0,
+      max: 1000,
+      step: 50
     }
   });
 
-  game.settings.register(MODULE_ID, "dcTier5", {
-    name: "MKC.Settings.DCTier5.Name",
-    hint: "MKC.Settings.DCTier5.Hint",
+  game.settings.register(MODULE_ID, "randomSpellCount", {
+    name: "MKC.Settings.RandomSpellCount.Name",
+    hint: "MKC.Settings.RandomSpellCount.Hint",
     scope: "world",
     config: true,
     type: Number,
-    default: DEFAULT_DCS.tier5,
+    default: 3,
     range: {
       min: 1,
-      max: 40,
+      max: 10,
       step: 1
     }
   });
 
-  // Info type selections for each tier (stored as comma-separated strings)
-  game.settings.register(MODULE_ID, "infoTier1", {
-    name: "MKC.Settings.InfoTier1.Name",
-    hint: "MKC.Settings.InfoTier1.Hint",
+  game.settings.register(MODULE_ID, "spellLinksForPlayers", {
+    name: "MKC.Settings.SpellLinksForPlayers.Name",
+    hint: "MKC.Settings.SpellLinksForPlayers.Hint",
     scope: "world",
-    config: false,
-    type: String,
-    default: DEFAULT_TIER_INFO.tier1.join(",")
+    config: true,
+    type: Boolean,
+    default: false
   });
 
-  game.settings.register(MODULE_ID, "infoTier2", {
-    name: "MKC.Settings.InfoTier2.Name",
-    hint: "MKC.Settings.InfoTier2.Hint",
+  // Recording checks in the bestiary without the GM clicking "Add to Bestiary"
+  game.settings.register(MODULE_ID, "autoRecord", {
+    name: "MKC.Settings.AutoRecord.Name",
+    hint: "MKC.Settings.AutoRecord.Hint",
     scope: "world",
-    config: false,
+    config: true,
     type: String,
-    default: DEFAULT_TIER_INFO.tier2.join(",")
+    choices: {
+      off: "MKC.Settings.AutoRecord.Off",
+      always: "MKC.Settings.AutoRecord.Always",
+      success: "MKC.Settings.AutoRecord.Success",
+      confirm: "MKC.Settings.AutoRecord.Confirm"
+    },
+    default: "off"
   });
 
-  game.settings.register(MODULE_ID, "infoTier3", {
-    name: "MKC.Settings.InfoTier3.Name",
-    hint: "MKC.Settings.InfoTier3.Hint",
+  game.settings.register(MODULE_ID, "bestiaryScope", {
+    name: "MKC.Settings.BestiaryScope.Name",
+    hint: "MKC.Settings.BestiaryScope.Hint",
     scope: "world",
-    config: false,
+    config: true,
     type: String,
-    default: DEFAULT_TIER_INFO.tier3.join(",")
+    choices: {
+      party: "MKC.Settings.BestiaryScope.Party",
+      character: "MKC.Settings.BestiaryScope.Character",
+      both: "MKC.Settings.BestiaryScope.Both"
+    },
+    default: "party"
   });
 
-  game.settings.register(MODULE_ID, "infoTier4", {
-    name: "MKC.Settings.InfoTier4.Name",
-    hint: "MKC.Settings.InfoTier4.Hint",
+  game.settings.register(MODULE_ID, "tokenKnowledge", {
+    name: "MKC.Settings.TokenKnowledge.Name",
+    hint: "MKC.Settings.TokenKnowledge.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      off: "MKC.Settings.TokenKnowledge.Off",
+      tooltip: "MKC.Settings.TokenKnowledge.Tooltip",
+      indicator: "MKC.Settings.TokenKnowledge.Indicator",
+      both: "MKC.Settings.TokenKnowledge.Both"
+    },
+    default: "both",
+    onChange: () => refreshKnowledgeIndicators()
+  });
+
+  game.settings.register(MODULE_ID, "bestiaryQueue", {
     scope: "world",
     config: false,
-    type: String,
-    default: DEFAULT_TIER_INFO.tier4.join(",")
+    type: Array,
+    default: []
   });
 
-  game.settings.register(MODULE_ID, "infoTier5", {
-    name: "MKC.Settings.InfoTier5.Name",
-    hint: "MKC.Settings.InfoTier5.Hint",
+  game.settings.register(MODULE_ID, "skillMap", {
     scope: "world",
     config: false,
-    type: String,
-    default: DEFAULT_TIER_INFO.tier5.join(",")
+    type: Object,
+    default: DEFAULT_SKILL_MAP
   });
 
   // Register the settings menu button
@@ -178,6 +443,58 @@ export function registerSettings() {
     type: TierConfigMenu,
     restricted: true
   });
+
+  game.settings.registerMenu(MODULE_ID, "skillMapMenu", {
+    name: "MKC.Settings.SkillMap.Name",
+    label: "MKC.Settings.SkillMap.Label",
+    hint: "MKC.Settings.SkillMap.Hint",
+    icon: "fas fa-book-open",
+    type: SkillMapMenu,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, "knowledgeMemoryMenu", {
+    name: "MKC.Settings.KnowledgeMemory.Name",
+    label: "MKC.Settings.KnowledgeMemory.Label",
+    hint: "MKC.Settings.KnowledgeMemory.Hint",
+    icon: "fas fa-brain",
+    type: KnowledgeMemoryViewer,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, "loreLibraryMenu", {
+    name: "MKC.Settings.LoreLibrary.Name",
+    label: "MKC.Settings.LoreLibrary.Label",
+    hint: "MKC.Settings.LoreLibrary.Hint",
+    icon: "fas fa-scroll",
+    type: LoreLibraryMenu,
+    restricted: true
+  });
+
+  game.settings.register(MODULE_ID, "loreLibrary", {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  game.settings.registerMenu(MODULE_ID, "bestiaryQueueMenu", {
+    name: "MKC.Settings.BestiaryQueue.Name",
+    label: "MKC.Settings.BestiaryQueue.Label",
+    hint: "MKC.Settings.BestiaryQueue.Hint",
+    icon: "fas fa-inbox",
+    type: BestiaryQueue,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, "bestiaryRepairMenu", {
+    name: "MKC.Settings.BestiaryRepair.Name",
+    label: "MKC.Settings.BestiaryRepair.Label",
+    hint: "MKC.Settings.BestiaryRepair.Hint",
+    icon: "fas fa-screwdriver-wrench",
+    type: BestiaryRepairMenu,
+    restricted: true
+  });
 }
 
 /**
@@ -199,42 +516,106 @@ export async function setSetting(key, value) {
 }
 
 /**
- * Get the info types for a specific tier as an array
- * @param {string} tier - "tier1", "tier2", "tier3", "tier4", or "tier5"
- * @returns {string[]}
+ * Get the configured tiers, lowest first
+ * @returns {{id: string, name: string, dc: number, icon: string, info: string[]}[]}
  */
-export function getTierInfo(tier) {
-  const setting = getSetting(`info${tier.charAt(0).toUpperCase() + tier.slice(1)}`);
-  return setting ? setting.split(",").filter(s => s.trim()) : [];
+export function getTiers() {
+  const tiers = getSetting("tiers");
+  return tiers?.length ? tiers : DEFAULT_TIERS;
 }
 
 /**
- * Get all tier configurations
- * @returns {Object}
+ * Get the recommended knowledge skills for a creature type
+ * @param {string} creatureType - The dnd5e creature type key
+ * @returns {string[]} Empty if every knowledge skill is equally suitable
  */
-export function getAllTierConfig() {
-  return {
-    tier1: {
-      dc: getSetting("dcTier1"),
-      info: getTierInfo("tier1")
-    },
-    tier2: {
-      dc: getSetting("dcTier2"),
-      info: getTierInfo("tier2")
-    },
-    tier3: {
-      dc: getSetting("dcTier3"),
-      info: getTierInfo("tier3")
-    },
-    tier4: {
-      dc: getSetting("dcTier4"),
-      info: getTierInfo("tier4")
-    },
-    tier5: {
-      dc: getSetting("dcTier5"),
-      info: getTierInfo("tier5")
-    }
-  };
+export function getRecommendedSkills(creatureType) {
+  const skillMap = getSetting("skillMap") ?? {};
+  return (skillMap[creatureType] ?? []).filter(s => KNOWLEDGE_SKILLS.includes(s));
+}
+
+/**
+ * Parse a challenge rating, accepting fractions such as "1/4"
+ * @param {string|number} value
+ * @returns {number}
+ */
+function parseCR(value) {
+  if (typeof value === "number") return value;
+  const [numerator, denominator] = String(value).trim().split("/").map(Number);
+  return denominator ? numerator / denominator : numerator;
+}
+
+/**
+ * Get the CR to Tier I DC table, sorted by ascending CR
+ * Malformed entries are ignored
+ * @returns {{cr: number, dc: number}[]}
+ */
+export function getCRTable() {
+  const setting = getSetting("crDCTable") || "";
+  return setting.split(",")
+    .map(entry => {
+      const [cr, dc] = entry.split(":");
+      return { cr: parseCR(cr), dc: Number(dc) };
+    })
+    .filter(row => Number.isFinite(row.cr) && Number.isFinite(row.dc))
+    .sort((a, b) => a.cr - b.cr);
+}
+
+/**
+ * Get the amount every tier DC is adjusted by for a given challenge rating
+ * In table mode the lowest tier's DC is looked up and the other tiers keep their spacing from it
+ * @param {number|null} cr - The monster's challenge rating
+ * @returns {number}
+ */
+export function getCRAdjustment(cr) {
+  const mode = getSetting("dcMode");
+  if ((mode === "fixed") || !Number.isFinite(cr)) return 0;
+
+  if (mode === "crOffset") {
+    return Math.floor(cr * getSetting("crDCStep"));
+  }
+
+  const row = getCRTable().findLast(r => r.cr <= cr);
+  return row ? row.dc - getTiers()[0].dc : 0;
+}
+
+/**
+ * Get all tier configurations, keyed by tier ID in tier order
+ * @param {number|null} [cr] - Challenge rating to scale the DCs for, if CR scaling is enabled
+ * @returns {Object<string, {dc: number, info: string[]}>}
+ */
+export function getAllTierConfig(cr = null) {
+  const adjustment = getCRAdjustment(cr);
+  return Object.fromEntries(getTiers().map(tier => [tier.id, {
+    dc: tier.dc + adjustment,
+    info: [...tier.info]
+  }]));
+}
+
+/**
+ * Convert the separate DC and info settings of older versions into the tier list
+ * Only runs while the tier list has never been saved
+ */
+export async function migrateTierSettings() {
+  const storage = game.settings.storage.get("world");
+  if (storage.getSetting(`${MODULE_ID}.tiers`)) return;
+
+  const readOld = key => storage.getSetting(`${MODULE_ID}.${key}`)?.value;
+  const numbers = ["1", "2", "3", "4", "5"];
+  if (!numbers.some(n => (readOld(`dcTier${n}`) !== undefined) || (readOld(`infoTier${n}`) !== undefined))) return;
+
+  const tiers = DEFAULT_TIERS.map((tier, index) => {
+    const dc = Number(readOld(`dcTier${numbers[index]}`));
+    const info = readOld(`infoTier${numbers[index]}`);
+    return {
+      ...tier,
+      dc: dc || tier.dc,
+      info: (typeof info === "string") ? info.split(",").map(s => s.trim()).filter(s => s in INFO_TYPES) : tier.info
+    };
+  });
+
+  await setSetting("tiers", tiers);
+  console.log(`${MODULE_ID} | Migrated tier settings`);
 }
 
 /* -------------------------------------------- */
@@ -244,7 +625,7 @@ export function getAllTierConfig() {
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
- * Configuration menu for tier info selections
+ * Configuration menu for the tiers: their names, DCs, icons and info, and their order
  */
 class TierConfigMenu extends HandlebarsApplicationMixin(ApplicationV2) {
   static DEFAULT_OPTIONS = {
@@ -258,41 +639,285 @@ class TierConfigMenu extends HandlebarsApplicationMixin(ApplicationV2) {
       resizable: true
     },
     position: {
-      width: 600,
-      height: "auto"
+      width: 640,
+      height: 700
     },
     form: {
       submitOnChange: false,
       closeOnSubmit: true
+    },
+    actions: {
+      addTier: TierConfigMenu.#onAddTier,
+      removeTier: TierConfigMenu.#onRemoveTier,
+      moveTier: TierConfigMenu.#onMoveTier,
+      applyPreset: TierConfigMenu.#onApplyPreset,
+      savePreset: TierConfigMenu.#onSavePreset,
+      deletePreset: TierConfigMenu.#onDeletePreset,
+      importPreset: TierConfigMenu.#onImportPreset,
+      exportPreset: TierConfigMenu.#onExportPreset
     }
   };
 
   static PARTS = {
     form: {
-      template: `modules/${MODULE_ID}/templates/tier-config.hbs`
+      template: `modules/${MODULE_ID}/templates/tier-config.hbs`,
+      scrollable: [""]
     },
     footer: {
       template: "templates/generic/form-footer.hbs"
     }
   };
 
+  /**
+   * The tiers being edited, kept between renders so adding, removing and moving tiers doesn't lose changes
+   * @type {Object[]|null}
+   */
+  tiers = null;
+
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
+
+    this.tiers ??= foundry.utils.deepClone(getTiers());
+    context.tiers = this.tiers.map((tier, index) => ({
+      ...tier,
+      label: game.i18n.localize(tier.name),
+      isFirst: index === 0,
+      isLast: index === this.tiers.length - 1,
+      infoTypes: Object.entries(INFO_TYPES).map(([key, labelKey]) => ({
+        key,
+        label: game.i18n.localize(labelKey),
+        checked: tier.info.includes(key)
+      }))
+    }));
+    context.canRemove = this.tiers.length > 1;
+    context.dcRange = TIER_DC_RANGE;
+
+    // Presets that can replace the whole configuration
+    const toOption = preset => ({ value: preset.id, label: game.i18n.localize(preset.name) });
+    context.builtInPresets = getBuiltInPresets().map(toOption);
+    context.worldPresets = getWorldPresets().map(toOption);
+
+    return context;
+  }
+
+  async _preparePartContext(partId, context, options) {
+    context = await super._preparePartContext(partId, context, options);
+    
+    if (partId === "footer") {
+      context.buttons = [
+        {
+          type: "submit",
+          icon: "fas fa-save",
+          label: game.i18n.localize("Save")
+        }
+      ];
+    }
     
-    // Build tier data with current selections
-    const tiers = ["tier1", "tier2", "tier3", "tier4", "tier5"];
-    const romanNumerals = ["I", "II", "III", "IV", "V"];
-    context.tiers = tiers.map((tier, index) => {
-      const currentInfo = getTierInfo(tier);
+    return context;
+  }
+
+  /**
+   * Read the tiers currently in the form
+   * @returns {Object[]}
+   */
+  _readTiers() {
+    const data = foundry.utils.expandObject(new FormDataExtended(this.element).object);
+    return Object.values(data.tiers ?? {}).map(tier => ({
+      id: tier.id || foundry.utils.randomID(),
+      name: tier.name?.trim() || "",
+      dc: Math.clamp(Number(tier.dc) || TIER_DC_RANGE.min, TIER_DC_RANGE.min, TIER_DC_RANGE.max),
+      icon: tier.icon?.trim() || "fas fa-star",
+      info: Object.keys(INFO_TYPES).filter(key => tier.info?.[key])
+    }));
+  }
+
+  /**
+   * Add a tier above the highest one
+   * @this {TierConfigMenu}
+   */
+  static #onAddTier(event, target) {
+    const tiers = this._readTiers();
+    const dc = (tiers.at(-1)?.dc ?? 10) + 3;
+    this.tiers = [...tiers, { id: foundry.utils.randomID(), name: "", dc, icon: "fas fa-star", info: [] }];
+    this.render();
+  }
+
+  /**
+   * Remove a tier
+   * @this {TierConfigMenu}
+   */
+  static #onRemoveTier(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    this.tiers = this._readTiers().filter((tier, i) => i !== index);
+    this.render();
+  }
+
+  /**
+   * Move a tier up or down the order
+   * @this {TierConfigMenu}
+   */
+  static #onMoveTier(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    const to = index + Number(target.dataset.direction);
+    const tiers = this._readTiers();
+    if ((to < 0) || (to >= tiers.length)) return;
+    [tiers[index], tiers[to]] = [tiers[to], tiers[index]];
+    this.tiers = tiers;
+    this.render();
+  }
+
+  /**
+   * Replace the configuration with the selected preset
+   * @this {TierConfigMenu}
+   */
+  static async #onApplyPreset(event, target) {
+    const preset = getPreset(this.element.querySelector("[name=preset]")?.value);
+    if (!preset) return;
+    await this._confirmAndApply(preset);
+  }
+
+  /**
+   * Save the configuration being edited as a world preset
+   * @this {TierConfigMenu}
+   */
+  static async #onSavePreset(event, target) {
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: "MKC.Presets.Save", icon: "fas fa-floppy-disk" },
+      content: `<input type="text" name="name" placeholder="${game.i18n.localize("MKC.Presets.Name")}" autofocus>`,
+      ok: { callback: (event, button) => button.form.elements.name.value.trim() },
+      rejectClose: false
+    });
+    if (!name) return;
+
+    await saveWorldPreset(createPreset({ name, tiers: this._readTiers() }));
+    ui.notifications.info(game.i18n.format("MKC.Presets.Saved", { name }));
+    this.tiers = this._readTiers();
+    this.render();
+  }
+
+  /**
+   * Delete the selected world preset
+   * @this {TierConfigMenu}
+   */
+  static async #onDeletePreset(event, target) {
+    const id = this.element.querySelector("[name=preset]")?.value;
+    const preset = getWorldPresets().find(p => p.id === id);
+    if (!preset) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "MKC.Presets.Delete" },
+      content: `<p>${game.i18n.format("MKC.Presets.DeleteConfirm", { name: preset.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    await deleteWorldPreset(id);
+    this.tiers = this._readTiers();
+    this.render();
+  }
+
+  /**
+   * Import a preset from a JSON file and apply it
+   * @this {TierConfigMenu}
+   */
+  static async #onImportPreset(event, target) {
+    const preset = await importPreset();
+    if (preset) await this._confirmAndApply(preset);
+  }
+
+  /**
+   * Export the configuration being edited to a JSON file
+   * @this {TierConfigMenu}
+   */
+  static #onExportPreset(event, target) {
+    exportPreset(createPreset({ name: game.world.title, tiers: this._readTiers() }));
+  }
+
+  /**
+   * Ask the GM to confirm replacing the configuration with a preset, then apply it
+   * @param {Object} preset
+   */
+  async _confirmAndApply(preset) {
+    const name = game.i18n.localize(preset.name);
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "MKC.Presets.Apply" },
+      content: `<p>${game.i18n.format("MKC.Presets.ApplyConfirm", { name })}</p>`
+    });
+    if (!confirmed) return;
+
+    await applyPreset(preset);
+    ui.notifications.info(game.i18n.format("MKC.Presets.Applied", { name }));
+    this.tiers = null;
+    this.render();
+  }
+
+  async _onSubmitForm(formConfig, event) {
+    event.preventDefault();
+
+    // Unnamed tiers are numbered by their position
+    const tiers = this._readTiers().map((tier, index) => ({
+      ...tier,
+      name: tier.name || game.i18n.format("MKC.Settings.TierConfig.DefaultName", { number: index + 1 })
+    }));
+    if (!tiers.length) return;
+
+    await setSetting("tiers", tiers);
+    ui.notifications.info(game.i18n.localize("MKC.Settings.Saved"));
+  }
+}
+
+/* -------------------------------------------- */
+/*  Skill Map Menu                              */
+/* -------------------------------------------- */
+
+/**
+ * Configuration menu for mapping creature types to knowledge skills
+ */
+class SkillMapMenu extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "mkc-skill-map",
+    classes: ["dnd5e2", "mkc-skill-map"],
+    tag: "form",
+    window: {
+      title: "MKC.Settings.SkillMap.Title",
+      icon: "fas fa-book-open",
+      contentClasses: ["standard-form"],
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/skill-map-config.hbs`
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs"
+    }
+  };
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    context.skills = KNOWLEDGE_SKILLS.map(id => ({
+      id,
+      label: CONFIG.DND5E.skills[id]?.label ?? id
+    }));
+
+    context.creatureTypes = Object.entries(CONFIG.DND5E.creatureTypes).map(([type, config]) => {
+      const recommended = getRecommendedSkills(type);
       return {
-        id: tier,
-        label: game.i18n.localize(`MKC.Tier.${romanNumerals[index]}`),
-        dc: getSetting(`dc${tier.charAt(0).toUpperCase() + tier.slice(1)}`),
-        isOptional: tier === "tier5",
-        infoTypes: Object.entries(INFO_TYPES).map(([key, labelKey]) => ({
-          key,
-          label: game.i18n.localize(labelKey),
-          checked: currentInfo.includes(key)
+        id: type,
+        label: game.i18n.localize(config.label ?? type),
+        skills: context.skills.map(skill => ({
+          id: skill.id,
+          checked: recommended.includes(skill.id)
         }))
       };
     });
@@ -302,7 +927,7 @@ class TierConfigMenu extends HandlebarsApplicationMixin(ApplicationV2) {
 
   async _preparePartContext(partId, context, options) {
     context = await super._preparePartContext(partId, context, options);
-    
+
     if (partId === "footer") {
       context.buttons = [
         {
@@ -312,33 +937,25 @@ class TierConfigMenu extends HandlebarsApplicationMixin(ApplicationV2) {
         }
       ];
     }
-    
+
     return context;
   }
 
   async _onSubmitForm(formConfig, event) {
     event.preventDefault();
-    
+
     const form = event.target;
     const formData = new FormDataExtended(form);
     const data = formData.object;
-    
-    // Process each tier
-    const tiers = ["tier1", "tier2", "tier3", "tier4", "tier5"];
-    for (const tier of tiers) {
-      // Collect all checked info types for this tier
-      const checkedInfo = [];
-      for (const infoKey of Object.keys(INFO_TYPES)) {
-        if (data[`${tier}-${infoKey}`]) {
-          checkedInfo.push(infoKey);
-        }
-      }
-      
-      // Save the info types as comma-separated string
-      const settingKey = `info${tier.charAt(0).toUpperCase() + tier.slice(1)}`;
-      await setSetting(settingKey, checkedInfo.join(","));
+
+    // Rebuild the map from the checked skills of each creature type
+    const skillMap = {};
+    for (const type of Object.keys(CONFIG.DND5E.creatureTypes)) {
+      const skills = KNOWLEDGE_SKILLS.filter(skill => data[`${type}-${skill}`]);
+      if (skills.length) skillMap[type] = skills;
     }
-    
-    ui.notifications.info(game.i18n.localize("MKC.Settings.Saved"));
+
+    await setSetting("skillMap", skillMap);
+    ui.notifications.info(game.i18n.localize("MKC.Settings.SkillMap.Saved"));
   }
 }
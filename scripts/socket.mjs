@@ -0,0 +1,101 @@
+/**
+ * Module Socket
+ * A small request/response channel so player clients can ask the active GM to act on their behalf
+ */
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * Handlers for request types, run on the active GM's client
+ * @type {Object<string, Function>}
+ */
+const handlers = {};
+
+/**
+ * Requests awaiting a response, by request ID
+ * @type {Map<string, Function>}
+ */
+const pending = new Map();
+
+/**
+ * Start listening on the module socket
+ */
+export function registerSocket() {
+  game.socket.on(SOCKET_NAME, onSocketMessage);
+}
+
+/**
+ * Register the handler for a request type
+ * The handler receives the request data and the requesting user, and its return value is sent back
+ * @param {string} type
+ * @param {Function} handler
+ */
+export function registerSocketHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Send a request to the active GM and wait for the response
+ * If the current user is the active GM the handler runs locally
+ * @param {string} type
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds to wait before giving up
+ * @returns {Promise<*>} The handler's result, or undefined if no GM is available or no response arrived
+ */
+export async function requestFromGM(type, data, { timeout } = {}) {
+  if (!game.users.activeGM) return undefined;
+  if (game.users.activeGM.isSelf) return runHandler(type, data, game.user);
+
+  const requestId = foundry.utils.randomID();
+  return new Promise(resolve => {
+    pending.set(requestId, resolve);
+    if (timeout) {
+      setTimeout(() => {
+        if (pending.delete(requestId)) resolve(undefined);
+      }, timeout);
+    }
+    game.socket.emit(SOCKET_NAME, { type, requestId, data });
+  });
+}
+
+/**
+ * Handle an incoming socket message
+ * The sender is the user the server attaches to the event, as a client may write any user into its payload
+ * @param {Object} message
+ * @param {string} senderId - The ID of the user who emitted the message
+ */
+async function onSocketMessage({ type, requestId, userId, data }, senderId) {
+  // Responses are only of interest to the user that sent the request, and only count from the active GM
+  if (type === "response") {
+    if ((userId !== game.user.id) || (senderId !== game.users.activeGM?.id)) return;
+    const resolve = pending.get(requestId);
+    if (!resolve) return;
+    pending.delete(requestId);
+    resolve(data);
+    return;
+  }
+
+  // Requests are handled once, by the active GM, who always answers so the requester isn't left waiting
+  if (!game.users.activeGM?.isSelf || !handlers[type]) return;
+  const result = await runHandler(type, data, game.users.get(senderId));
+  game.socket.emit(SOCKET_NAME, { type: "response", requestId, userId: senderId, data: result });
+}
+
+/**
+ * Run the handler for a request, logging any error rather than throwing it
+ * Many requests aren't awaited, so an error would otherwise go unhandled
+ * @param {string} type
+ * @param {Object} data
+ * @param {User} user - The requesting user
+ * @returns {Promise<*>} The handler's result, or undefined if there is no handler or it failed
+ */
+async function runHandler(type, data, user) {
+  try {
+    return await handlers[type]?.(data, user);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Failed to handle the ${type} request`, err);
+  }
+}
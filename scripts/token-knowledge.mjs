@@ -0,0 +1,146 @@
+/**
+ * Token Knowledge
+ * Shows what the viewing user knows about a creature in a tooltip when its token is hovered,
+ * and marks each token with the highest tier known
+ */
+
+import { getTiers } from "./settings.mjs";
+import { getCreatureKey, getRecordedKnowledge } from "./bestiary.mjs";
+import { getKnownTiers } from "./knowledge-memory.mjs";
+
+const MODULE_ID = "momos-guide-to-monsters";
+
+/**
+ * The token whose tooltip is shown
+ * @type {Token|null}
+ */
+let hoveredToken = null;
+
+/**
+ * Does the user's token knowledge setting include this display?
+ * @param {string} display - "tooltip" or "indicator"
+ * @returns {boolean}
+ */
+function isShown(display) {
+  const mode = game.settings.get(MODULE_ID, "tokenKnowledge");
+  return (mode === "both") || (mode === display);
+}
+
+/**
+ * Get the characters whose memory counts as the user's knowledge
+ * @returns {Actor5e[]}
+ */
+function getUserCharacters() {
+  return game.actors.filter(a => (a.type === "character") && a.isOwner);
+}
+
+/**
+ * Get what the user knows about a creature, in tier order
+ * Facts come from the bestiaries the user may read, and tiers the user's characters remember
+ * are included even when nothing from them was recorded
+ * @param {Actor5e} actor
+ * @returns {{id: string, label: string, icon: string, level: number, facts: Object[]}[]}
+ */
+export function getTokenKnowledge(actor) {
+  const recorded = getRecordedKnowledge(getCreatureKey(actor)).tiers;
+  const remembered = new Set(getUserCharacters().flatMap(character => getKnownTiers(character, actor)));
+
+  // Tiers that have since been removed aren't shown
+  return getTiers().flatMap((tier, index) => {
+    if (!recorded[tier.id] && !remembered.has(tier.id)) return [];
+    return {
+      id: tier.id,
+      label: game.i18n.localize(tier.name),
+      icon: tier.icon,
+      level: index + 1,
+      facts: recorded[tier.id]?.facts ?? []
+    };
+  });
+}
+
+/* -------------------------------------------- */
+/*  Hover Tooltip                               */
+/* -------------------------------------------- */
+
+/**
+ * Show the knowledge tooltip beside a hovered creature token
+ * @param {Token} token
+ */
+export async function showTokenKnowledge(token) {
+  if (!isShown("tooltip") || (token.actor?.type !== "npc")) return;
+  hoveredToken = token;
+
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/token-knowledge.hbs`, {
+    name: token.document.name,
+    tiers: getTokenKnowledge(token.actor)
+  });
+
+  // The pointer may have left the token while the tooltip was rendering
+  if (hoveredToken !== token) return;
+
+  let tooltip = document.getElementById("mkc-token-knowledge");
+  if (!tooltip) {
+    tooltip = document.createElement("aside");
+    tooltip.id = "mkc-token-knowledge";
+    tooltip.classList.add("mkc-token-knowledge", "dnd5e2");
+    document.body.append(tooltip);
+  }
+  tooltip.innerHTML = content;
+
+  const { x, y } = canvas.clientCoordinatesFromCanvas({ x: token.x + token.w, y: token.y });
+  tooltip.style.left = `${x + 8}px`;
+  tooltip.style.top = `${y}px`;
+}
+
+/**
+ * Remove the knowledge tooltip
+ */
+export function hideTokenKnowledge() {
+  hoveredToken = null;
+  document.getElementById("mkc-token-knowledge")?.remove();
+}
+
+/* -------------------------------------------- */
+/*  Token Indicator                             */
+/* -------------------------------------------- */
+
+/**
+ * Draw the badge showing the highest tier the user knows on a creature token
+ * @param {Token} token
+ */
+export function drawKnowledgeIndicator(token) {
+  // Redrawing the token destroys its children, including the previous indicator
+  if (token.mkcKnowledgeIndicator && !token.mkcKnowledgeIndicator.destroyed) {
+    token.mkcKnowledgeIndicator.destroy({ children: true });
+  }
+  token.mkcKnowledgeIndicator = null;
+  if (!isShown("indicator") || (token.actor?.type !== "npc")) return;
+
+  const highest = getTokenKnowledge(token.actor).at(-1);
+  if (!highest) return;
+
+  const radius = Math.max(8, Math.min(token.w, token.h) * 0.12);
+  const indicator = new PIXI.Container();
+  const background = new PIXI.Graphics()
+    .lineStyle(1, 0xd4af37)
+    .beginFill(0x000000, 0.7)
+    .drawCircle(0, 0, radius)
+    .endFill();
+
+  const style = CONFIG.canvasTextStyle.clone();
+  style.fontSize = Math.round(radius * 1.2);
+  const text = new PIXI.Text(String(highest.level), style);
+  text.anchor.set(0.5);
+
+  indicator.addChild(background, text);
+  indicator.position.set(token.w - radius, radius);
+  token.mkcKnowledgeIndicator = token.addChild(indicator);
+}
+
+/**
+ * Redraw the indicators of every token, such as after the bestiary or a character's memory changes
+ */
+export function refreshKnowledgeIndicators() {
+  if (!canvas.ready) return;
+  for (const token of canvas.tokens.placeables) drawKnowledgeIndicator(token);
+}